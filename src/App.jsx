@@ -1,29 +1,106 @@
-import React, { useState, useEffect } from 'react';
-import { Calendar, Plus, Users, Clock, CheckCircle, Circle, Edit3, Trash2, Settings, UserPlus, X } from 'lucide-react';
-import { createClient } from '@supabase/supabase-js';
+import React, { useState, useEffect, useRef } from 'react';
+import { Calendar, Plus, Users, Clock, Edit3, Trash2, Settings, X, AlertTriangle, LayoutGrid, GanttChartSquare, KanbanSquare, Archive, ArchiveRestore, History, Repeat, BadgeCheck, BarChart3, LogOut } from 'lucide-react';
+import { repository, saveQueue } from './data';
+import SettingsModal from './components/SettingsModal';
+import TimelineView from './components/TimelineView';
+import BoardView from './components/BoardView';
+import WorkloadView from './components/WorkloadView';
+import TrashView from './components/TrashView';
+import UndoToast from './components/UndoToast';
+import ActivityFeed from './components/ActivityFeed';
+import AnalyticsView from './components/AnalyticsView';
+import ProjectDetail from './components/ProjectDetail';
+import ProjectForm from './components/ProjectForm';
+import SaveStatus from './components/SaveStatus';
+import { planSteps, replanProject, getScheduleOverrun } from './lib/schedule';
+import { planStepChanges } from './lib/stepUpdates';
+import { replaceAssignee, isAssignedTo } from './lib/team';
+import { createsCycle } from './lib/dependencies';
+import { HEALTH_STATUSES, getProjectHealth } from './lib/health';
+import { getRevisionCount, isStuckInReview } from './lib/revisions';
+import { getLatestApprovedAsset, isLink } from './lib/assets';
+import { getProjectCredits, getClientCredits, formatCredits } from './lib/generations';
+import { getBudgetReport, formatMoney } from './lib/budget';
+import { getProjectProgress, getProjectStatus } from './lib/progress';
+import { isImportable, resolveAssignees } from './lib/importExport';
+import { normalizeOrder, diffProjectWithTemplate, planTemplateSync } from './lib/templateSync';
+import { can, canEditStep, canOpenSettings, getRoleLabel } from './lib/permissions';
+import {
+  STEP_CHILD_TABLES,
+  applyStepChanges,
+  applyStepSync,
+  findStep,
+  invertRowUpdates,
+  invertStepChanges,
+  mapSteps,
+  mergeStepRow,
+  removeRow,
+  removeStepChild,
+  setProjectStepOrder,
+  updateRow,
+  updateTemplateStep,
+  upsertRow,
+  upsertStepChild
+} from './lib/projectState';
 
-// Environment variables for Supabase
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+const VIEWS = [
+  { id: 'grid', label: 'Projects', icon: LayoutGrid },
+  { id: 'timeline', label: 'Timeline', icon: GanttChartSquare },
+  { id: 'board', label: 'Board', icon: KanbanSquare },
+  { id: 'workload', label: 'Workload', icon: Users },
+  { id: 'activity', label: 'Activity', icon: History },
+  { id: 'analytics', label: 'Analytics', icon: BarChart3 },
+  { id: 'trash', label: 'Trash', icon: Trash2 }
+];
 
-// Validate environment variables
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase environment variables. Please check your .env file and Netlify configuration.');
-}
+// How many entries the global activity feed shows
+const RECENT_ACTIVITY_LIMIT = 100;
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+// Team members and templates are listed alphabetically, as the store returns them
+const byName = (a, b) => a.name.localeCompare(b.name);
 
-const App = () => {
+// Bursts of remote changes that need a reload are collapsed into one
+const SYNC_RELOAD_DELAY_MS = 500;
+
+// currentUser: the signed-in account ({ id, email, role, member_id })
+const App = ({ currentUser, onSignOut }) => {
   const [projects, setProjects] = useState([]);
   const [teamMembers, setTeamMembers] = useState([]);
-  const [workflowSteps, setWorkflowSteps] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [activity, setActivity] = useState([]);
+  // Read by refreshActivity, which also runs from effects set up on mount
+  const activityRef = useRef(activity);
+  activityRef.current = activity;
   const [showNewProject, setShowNewProject] = useState(false);
-  const [selectedProject, setSelectedProject] = useState(null);
+  const [selectedProjectId, setSelectedProjectId] = useState(null);
+  const [editingProjectId, setEditingProjectId] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
   const [filterStatus, setFilterStatus] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [view, setView] = useState('grid');
+  const [toast, setToast] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [syncError, setSyncError] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(saveQueue.getStatus());
+  const [appUsers, setAppUsers] = useState([]);
+
+  // Admins see their own role and link changes straight away
+  const user = appUsers.find(account => account.id === currentUser.id) || currentUser;
+  const canManageProjects = can(user, 'manageProjects');
+  const canEdit = (step, fields) => canEditStep(user, step, fields);
+
+  // Handlers check the role again; the RLS policies in migration 017 enforce the same
+  const allow = (allowed, action) => {
+    if (!allowed) setSyncError(`Your role (${getRoleLabel(user.role)}) can't ${action}`);
+    return allowed;
+  };
+
+  // Activity is attributed to the linked team member, or the email without one
+  useEffect(() => {
+    const member = teamMembers.find(m => m.id === user.member_id);
+    repository.setActor({ id: user.id, name: member?.name || user.email, member_id: user.member_id ?? null });
+  }, [user.id, user.email, user.member_id, teamMembers]);
 
   // Load data from database on startup
   useEffect(() => {
@@ -36,7 +113,8 @@ const App = () => {
       await Promise.all([
         loadProjects(),
         loadTeamMembers(),
-        loadWorkflowSteps()
+        loadTemplates(),
+        loadAppUsers()
       ]);
     } catch (err) {
       setError('Failed to load data: ' + err.message);
@@ -45,478 +123,702 @@ const App = () => {
     }
   };
 
+  // Fetch only entries logged since the newest one already loaded
+  const loadActivity = async () => {
+    const rows = await repository.listActivity({ since: activityRef.current[0]?.created_at });
+    setActivity(current => {
+      const known = new Set(current.map(entry => entry.id));
+      const added = rows.filter(entry => !known.has(entry.id));
+      return added.length > 0 ? [...added, ...current] : current;
+    });
+  };
+
+  // Every project change is logged, so the activity log is refreshed alongside
   const loadProjects = async () => {
-    const { data, error } = await supabase
-      .from('projects')
-      .select(`
-        *,
-        project_steps (*)
-      `)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    setProjects(data || []);
+    const [projectRows] = await Promise.all([
+      repository.listProjects(),
+      loadActivity()
+    ]);
+    setProjects(applyStepChanges(projectRows, saveQueue.getPending('project_steps')));
   };
 
   const loadTeamMembers = async () => {
-    const { data, error } = await supabase
-      .from('team_members')
-      .select('*')
-      .order('name');
-    
-    if (error) throw error;
-    setTeamMembers(data || []);
+    setTeamMembers(await repository.listTeamMembers());
   };
 
-  const loadWorkflowSteps = async () => {
-    const { data, error } = await supabase
-      .from('workflow_templates')
-      .select('*')
-      .order('step_order');
-    
-    if (error) throw error;
-    setWorkflowSteps(data || []);
+  const loadAppUsers = async () => {
+    if (can(currentUser, 'manageUsers')) setAppUsers(await repository.listAppUsers());
   };
 
+  const loadTemplates = async () => {
+    const rows = await repository.listTemplates();
+    setTemplates(saveQueue.getPending('workflow_templates')
+      .reduce((current, { id, ...updates }) => updateTemplateStep(current, id, updates), rows));
+  };
+
+  // Queued edits stay on top of rows loaded or pushed before they are saved
+  const withPendingEdits = (table, row) => ({
+    ...row,
+    ...saveQueue.getPending(table).find(change => change.id === row.id)
+  });
+
+  // Pick up activity the repository logged for a mutation
+  const refreshActivity = async () => {
+    try {
+      await loadActivity();
+    } catch (err) {
+      setSyncError('Failed to load activity: ' + err.message);
+    }
+  };
+
+  // Live sync: merge pushed rows into state, reload what can't be merged
+  useEffect(() => {
+    const timers = {};
+    const reload = (key, load) => {
+      clearTimeout(timers[key]);
+      timers[key] = setTimeout(() => {
+        load().catch(err => setSyncError('Failed to sync changes: ' + err.message));
+      }, SYNC_RELOAD_DELAY_MS);
+    };
+
+    const unsubscribe = repository.subscribe(({ table, type, row, old }) => {
+      if (table === 'team_members') return reload('team', loadTeamMembers);
+      if (table === 'project_templates' || table === 'workflow_templates') return reload('templates', loadTemplates);
+      if (table === 'activity_log' && type === 'insert') {
+        return setActivity(current => (current.some(entry => entry.id === row.id) ? current : [row, ...current]));
+      }
+      if (table === 'projects' && type === 'update') return setProjects(current => updateRow(current, row.id, row));
+      if (table === 'project_steps' && type === 'update') {
+        return setProjects(current => mergeStepRow(current, withPendingEdits('project_steps', row)));
+      }
+      if (STEP_CHILD_TABLES[table] && type === 'delete') return setProjects(current => removeStepChild(current, table, old.id));
+      if (STEP_CHILD_TABLES[table] && type !== 'reload') return setProjects(current => upsertStepChild(current, table, row));
+      return reload('projects', loadProjects);
+    });
+
+    return () => {
+      unsubscribe();
+      Object.values(timers).forEach(clearTimeout);
+    };
+  }, []);
+
+  // Send writes left from a previous session; pick up activity when the queue drains
+  useEffect(() => {
+    const unsubscribe = saveQueue.subscribe(status => {
+      setSaveStatus(status);
+      if (status.state === 'saved') refreshActivity();
+    });
+    saveQueue.flush();
+    return unsubscribe;
+  }, []);
+
   const createNewProject = async (projectData) => {
+    if (!allow(canManageProjects, 'create projects')) return;
     try {
-      // Create project
-      const { data: project, error: projectError } = await supabase
-        .from('projects')
-        .insert([{
-          name: projectData.name,
-          client: projectData.client,
-          start_date: projectData.startDate,
-          end_date: projectData.endDate,
-          priority: projectData.priority,
-          description: projectData.description
-        }])
-        .select()
-        .single();
-
-      if (projectError) throw projectError;
-
-      // Create project steps from workflow template
-      const projectSteps = workflowSteps.map(step => ({
-        project_id: project.id,
+      // Create project with steps copied from the chosen workflow template
+      const template = templates.find(t => t.id === projectData.templateId);
+      const templateSteps = template?.steps || [];
+      const schedule = planSteps(templateSteps, projectData.startDate, { skipWeekends: projectData.skipWeekends });
+      const created = await repository.createProject({
+        name: projectData.name,
+        client: projectData.client,
+        start_date: projectData.startDate,
+        end_date: projectData.endDate,
+        priority: projectData.priority,
+        description: projectData.description,
+        skip_weekends: projectData.skipWeekends,
+        budget: projectData.budget === '' ? null : Number(projectData.budget),
+        template_id: template?.id ?? null
+      }, templateSteps.map((step, index) => ({
+        key: step.id,
+        template_step_id: step.id,
+        depends_on: step.depends_on ?? null,
         name: step.name,
         step_order: step.step_order,
         status: 'pending',
-        estimated_days: step.estimated_days
-      }));
-
-      const { error: stepsError } = await supabase
-        .from('project_steps')
-        .insert(projectSteps);
-
-      if (stepsError) throw stepsError;
+        estimated_days: step.estimated_days,
+        due_date: schedule[index].due_date
+      })));
 
       setShowNewProject(false);
-      await loadProjects();
+      setProjects(current => [created, ...current]);
+      refreshActivity();
     } catch (err) {
-      setError('Failed to create project: ' + err.message);
+      setSyncError('Failed to create project: ' + err.message);
     }
   };
 
-  const updateProjectStep = async (projectId, stepId, updates) => {
+  // Mutations update state first and save in the background, reverting on failure
+  const saveOptimistically = async (setState, apply, revert, save, failureMessage) => {
+    setState(apply);
     try {
-      const { error } = await supabase
-        .from('project_steps')
-        .update(updates)
-        .eq('id', stepId);
-
-      if (error) throw error;
-      await loadProjects();
+      await save();
+      refreshActivity();
+      return true;
     } catch (err) {
-      setError('Failed to update step: ' + err.message);
+      setState(revert);
+      setSyncError(`${failureMessage}: ${err.message}. The change was undone.`);
+      return false;
     }
   };
 
-  const deleteProject = async (projectId) => {
-    try {
-      const { error } = await supabase
-        .from('projects')
-        .delete()
-        .eq('id', projectId);
+  const saveProjectChanges = (projectId, updates, stepChanges, save, failureMessage) => {
+    const previous = invertRowUpdates(projects, projectId, updates);
+    const previousSteps = invertStepChanges(projects, stepChanges);
+    return saveOptimistically(
+      setProjects,
+      current => applyStepChanges(updateRow(current, projectId, updates), stepChanges),
+      current => applyStepChanges(updateRow(current, projectId, previous), previousSteps),
+      save,
+      failureMessage
+    );
+  };
 
-      if (error) throw error;
-      await loadProjects();
-    } catch (err) {
-      setError('Failed to delete project: ' + err.message);
+  const updateProject = async (project, projectData, { replan = false } = {}) => {
+    if (!allow(canManageProjects, 'edit projects')) return;
+    const updates = {
+      name: projectData.name,
+      client: projectData.client,
+      start_date: projectData.startDate,
+      end_date: projectData.endDate,
+      priority: projectData.priority,
+      description: projectData.description,
+      skip_weekends: projectData.skipWeekends,
+      budget: projectData.budget === '' ? null : Number(projectData.budget)
+    };
+    const stepChanges = replan ? replanProject({ ...project, ...updates }) : [];
+    setEditingProjectId(null);
+    await saveProjectChanges(project.id, updates, stepChanges, async () => {
+      await repository.updateProject(project.id, updates);
+      await repository.updateProjectSteps(stepChanges);
+    }, 'Failed to update project');
+  };
+
+  // Step edits and the changes they imply go through the save queue
+  const updateProjectStep = (project, stepId, updates) => {
+    if (!allow(canEdit(project.project_steps.find(step => step.id === stepId) || {}, Object.keys(updates)), 'edit this step')) return;
+    if (updates.depends_on && createsCycle(project.project_steps, stepId, updates.depends_on)) {
+      setSyncError('Failed to update step: those dependencies would create a cycle');
+      return;
     }
+    // Editors can't change other people's steps, so follow-on changes to them are skipped
+    const changes = planStepChanges(project, stepId, updates)
+      .filter(({ id, ...stepUpdates }) => id === stepId || canEdit(project.project_steps.find(step => step.id === id), Object.keys(stepUpdates)));
+    setProjects(current => applyStepChanges(current, changes));
+    changes.forEach(({ id, ...stepUpdates }) => saveQueue.enqueue('project_steps', id, stepUpdates));
   };
 
-  const addTeamMember = async (name) => {
-    try {
-      const { error } = await supabase
-        .from('team_members')
-        .insert([{ name: name.trim() }]);
+  const updateProjectSteps = (projectId, changes) => {
+    if (!allow(canManageProjects, 'reschedule projects')) return false;
+    return saveProjectChanges(projectId, {}, changes, () => repository.updateProjectSteps(changes), 'Failed to update steps');
+  };
 
-      if (error) throw error;
-      await loadTeamMembers();
+  // Renames are flagged so applying the template later keeps them
+  const renameProjectStep = (project, stepId, name) =>
+    updateProjectStep(project, stepId, { name, name_customized: true });
+
+  const addProjectStep = async (project, step) => {
+    if (!allow(canManageProjects, 'add steps')) return;
+    try {
+      const row = await repository.addProjectStep(project, step);
+      setProjects(current => current.map(p => (p.id === project.id ? { ...p, project_steps: [...(p.project_steps || []), row] } : p)));
+      refreshActivity();
     } catch (err) {
-      setError('Failed to add team member: ' + err.message);
+      setSyncError('Failed to add step: ' + err.message);
     }
   };
 
-  const removeTeamMember = async (id) => {
-    try {
-      const { error } = await supabase
-        .from('team_members')
-        .delete()
-        .eq('id', id);
+  // Permanent, like deleting a project, so it asks first
+  const removeProjectStep = async (project, step) => {
+    if (!allow(canManageProjects, 'remove steps')) return;
+    if (!window.confirm(`Remove "${step.name}" from ${project.name}? Its comments, assets, time entries and generation log are deleted too.`)) return;
+    const remaining = project.project_steps
+      .filter(other => other.id !== step.id)
+      .map(other => ({ ...other, depends_on: other.depends_on && other.depends_on.filter(id => id !== step.id) }));
+    const orderChanges = normalizeOrder(remaining);
+    await saveOptimistically(
+      setProjects,
+      current => setProjectStepOrder(
+        current.map(p => (p.id !== project.id ? p : {
+          ...p,
+          project_steps: remaining,
+          removed_template_step_ids: step.template_step_id != null
+            ? [...(p.removed_template_step_ids || []), step.template_step_id]
+            : p.removed_template_step_ids
+        })),
+        project.id,
+        remaining.map(other => other.id)
+      ),
+      current => current.map(p => (p.id === project.id ? project : p)),
+      async () => {
+        await repository.removeProjectStep(project, step);
+        await repository.updateProjectSteps(orderChanges);
+      },
+      'Failed to remove step'
+    );
+  };
 
-      if (error) throw error;
-      await loadTeamMembers();
-    } catch (err) {
-      setError('Failed to remove team member: ' + err.message);
-    }
+  // orderedSteps: the project's steps in their new order
+  const reorderProjectSteps = (project, orderedSteps) => {
+    if (!allow(canManageProjects, 'reorder steps')) return;
+    const changes = normalizeOrder(orderedSteps);
+    return saveOptimistically(
+      setProjects,
+      current => setProjectStepOrder(current, project.id, orderedSteps.map(step => step.id)),
+      current => setProjectStepOrder(current, project.id, project.project_steps.map(step => step.id)),
+      () => repository.updateProjectSteps(changes),
+      'Failed to reorder steps'
+    );
   };
 
-  const addWorkflowStep = async (name, estimatedDays) => {
+  // Child records are added to their step once the store assigns an id
+  const saveStepChild = async (table, save, failureMessage) => {
     try {
-      const maxOrder = Math.max(...workflowSteps.map(s => s.step_order), 0);
-      const { error } = await supabase
-        .from('workflow_templates')
-        .insert([{
-          name: name.trim(),
-          step_order: maxOrder + 1,
-          estimated_days: estimatedDays
-        }]);
-
-      if (error) throw error;
-      await loadWorkflowSteps();
+      const row = await save();
+      if (row) setProjects(current => upsertStepChild(current, table, row));
+      refreshActivity();
+      return row;
     } catch (err) {
-      setError('Failed to add workflow step: ' + err.message);
+      setSyncError(`${failureMessage}: ${err.message}`);
     }
   };
 
-  const removeWorkflowStep = async (id) => {
-    try {
-      const { error } = await supabase
-        .from('workflow_templates')
-        .delete()
-        .eq('id', id);
+  const addStepComment = (step, comment) =>
+    saveStepChild('step_comments', () => repository.addStepComment({ ...comment, project_id: step.project_id, step_id: step.id }), 'Failed to add comment');
 
-      if (error) throw error;
-      await loadWorkflowSteps();
-    } catch (err) {
-      setError('Failed to remove workflow step: ' + err.message);
+  const startRevisionRound = (step) =>
+    saveStepChild('revision_rounds', () => repository.startRevisionRound(step), 'Failed to start revision round');
+
+  const decideRevisionRound = (step, round, status) =>
+    saveStepChild('revision_rounds', () => repository.decideRevisionRound(step, round, status), 'Failed to update revision round');
+
+  // A label has one current version, so the others are cleared alongside
+  const markCurrentAsset = (current, asset) => mapSteps(current, step => (step.id !== asset.step_id ? step : {
+    ...step,
+    assets: (step.assets || []).map(other => (other.label === asset.label ? { ...other, is_current: other.id === asset.id } : other))
+  }));
+
+  const addStepAsset = async (step, asset) => {
+    const row = await saveStepChild('step_assets', () => repository.addStepAsset(step, asset), 'Failed to add asset');
+    if (row) setProjects(current => markCurrentAsset(current, row));
+  };
+
+  const setCurrentAsset = async (asset) => {
+    const previous = findStep(projects, asset.step_id)?.assets || [];
+    await saveOptimistically(
+      setProjects,
+      current => markCurrentAsset(current, asset),
+      current => mapSteps(current, step => (step.id === asset.step_id ? { ...step, assets: previous } : step)),
+      () => repository.setCurrentAsset(asset),
+      'Failed to update asset'
+    );
+  };
+
+  const approveAsset = async (step, asset) => {
+    setProjects(current => markCurrentAsset(current, asset));
+    await saveStepChild('step_assets', () => repository.approveAsset(step, asset), 'Failed to approve asset');
+  };
+
+  const addGenerationRun = (step, run) =>
+    saveStepChild('generation_runs', () => repository.addGenerationRun(step, run), 'Failed to log generation');
+
+  const addTimeEntry = (step, entry) =>
+    saveStepChild('time_entries', () => repository.addTimeEntry(step, entry), 'Failed to log time');
+
+  const removeTimeEntry = async (step, entry) => {
+    const removed = await saveOptimistically(
+      setProjects,
+      current => removeStepChild(current, 'time_entries', entry.id),
+      current => upsertStepChild(current, 'time_entries', entry),
+      () => repository.removeTimeEntry(entry.id),
+      'Failed to remove time entry'
+    );
+    if (removed) {
+      const { member_id, date, hours, note } = entry;
+      showUndo('Time entry removed', () => addTimeEntry(step, { member_id, date, hours, note }));
+    }
+  };
+
+  // Regenerating swaps in a new token, which invalidates the old link
+  const setShareToken = (project, shareToken) => {
+    const updates = { share_token: shareToken };
+    return saveProjectChanges(project.id, updates, [], () => repository.setShareToken(project.id, shareToken), 'Failed to update share link');
+  };
+
+  const revokeShareLink = async (project) => {
+    if (await setShareToken(project, null)) {
+      showUndo('Share link revoked', () => setShareToken(project, project.share_token));
     }
   };
 
-  const updateWorkflowStep = async (id, updates) => {
+  // Reload the records of rejected edits to show what the store holds
+  const discardRejectedSaves = async () => {
+    const discarded = saveQueue.discardRejected();
+    const idsOf = (table) => discarded.filter(entry => entry.table === table).map(entry => entry.id);
     try {
-      const { error } = await supabase
-        .from('workflow_templates')
-        .update(updates)
-        .eq('id', id);
+      const [steps, templateSteps] = await Promise.all([
+        repository.getRows('project_steps', idsOf('project_steps')),
+        repository.getRows('workflow_templates', idsOf('workflow_templates'))
+      ]);
+      setProjects(current => steps.reduce((merged, row) => mergeStepRow(merged, withPendingEdits('project_steps', row)), current));
+      setTemplates(current => templateSteps.reduce(
+        (merged, row) => updateTemplateStep(merged, row.id, withPendingEdits('workflow_templates', row)), current));
+    } catch (err) {
+      setSyncError('Failed to reload data: ' + err.message);
+    }
+  };
+
+  // Destructive actions offer an undo toast; `undo` reverses the action
+  const showUndo = (message, undo) => setToast({ message, undo });
 
-      if (error) throw error;
-      await loadWorkflowSteps();
+  const undoLastAction = async () => {
+    const { undo } = toast;
+    setToast(null);
+    try {
+      await undo();
     } catch (err) {
-      setError('Failed to update workflow step: ' + err.message);
+      setSyncError('Failed to undo: ' + err.message);
     }
   };
 
-  const getProjectProgress = (project) => {
-    if (!project.project_steps) return 0;
-    const completedSteps = project.project_steps.filter(step => step.status === 'completed').length;
-    return Math.round((completedSteps / project.project_steps.length) * 100);
+  // The repository stamps archived_at/deleted_at itself
+  const trashProject = async (project) => {
+    if (!allow(canManageProjects, 'delete projects')) return;
+    const trashed = await saveProjectChanges(project.id, { deleted_at: new Date().toISOString() }, [],
+      () => repository.trashProject(project.id), 'Failed to delete project');
+    if (trashed) showUndo(`"${project.name}" moved to trash`, () => restoreProject(project));
   };
 
-  const getProjectStatus = (project) => {
-    const progress = getProjectProgress(project);
-    if (progress === 100) return 'completed';
-    if (progress === 0) return 'not-started';
-    return 'in-progress';
+  const restoreProject = (project) =>
+    saveProjectChanges(project.id, { deleted_at: null }, [],
+      () => repository.restoreProject(project.id), 'Failed to restore project');
+
+  const archiveProject = async (project) => {
+    if (!allow(canManageProjects, 'archive projects')) return;
+    const archived = await saveProjectChanges(project.id, { archived_at: new Date().toISOString() }, [],
+      () => repository.archiveProject(project.id), 'Failed to archive project');
+    if (archived) showUndo(`"${project.name}" archived`, () => unarchiveProject(project));
   };
 
-  const filteredProjects = projects.filter(project => {
-    const matchesSearch = project.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         project.client.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesFilter = filterStatus === 'all' || getProjectStatus(project) === filterStatus;
-    return matchesSearch && matchesFilter;
-  });
+  const unarchiveProject = (project) =>
+    saveProjectChanges(project.id, { archived_at: null }, [],
+      () => repository.unarchiveProject(project.id), 'Failed to unarchive project');
 
-  // Settings Component
-  const SettingsModal = () => {
-    const [activeTab, setActiveTab] = useState('team');
-    const [newMemberName, setNewMemberName] = useState('');
-    const [newStepName, setNewStepName] = useState('');
-    const [newStepDays, setNewStepDays] = useState(1);
-    const [editingStep, setEditingStep] = useState(null);
-
-    const handleAddMember = async () => {
-      if (newMemberName.trim()) {
-        await addTeamMember(newMemberName);
-        setNewMemberName('');
-      }
-    };
+  // Permanent, so it asks first instead of offering undo
+  const deleteProject = async (project) => {
+    if (!allow(can(user, 'deleteProjects'), 'permanently delete projects')) return;
+    if (!window.confirm(`Permanently delete "${project.name}" and all of its steps? This cannot be undone.`)) return;
+    await saveOptimistically(
+      setProjects,
+      current => removeRow(current, project.id),
+      current => upsertRow(current, project),
+      () => repository.deleteProject(project.id),
+      'Failed to delete project'
+    );
+  };
 
-    const handleAddStep = async () => {
-      if (newStepName.trim()) {
-        await addWorkflowStep(newStepName, newStepDays);
-        setNewStepName('');
-        setNewStepDays(1);
-      }
-    };
+  // New members show up under a temporary id until the store assigns one
+  const addTeamMember = async (name) => {
+    if (!allow(can(user, 'manageTeam'), 'manage the team')) return;
+    const tempId = `pending-${Date.now()}`;
+    let created = null;
+    await saveOptimistically(
+      setTeamMembers,
+      current => [...current, { id: tempId, name: name.trim() }],
+      current => removeRow(current, tempId),
+      async () => { created = await repository.addTeamMember({ name: name.trim() }); },
+      'Failed to add team member'
+    );
+    if (created) {
+      setTeamMembers(current => current.map(member => (member.id === tempId ? created : member))
+        .sort(byName));
+    }
+  };
 
-    const handleUpdateStep = async (id, field, value) => {
-      await updateWorkflowStep(id, { [field]: value });
-    };
+  const updateTeamMember = (id, updates) => {
+    if (!allow(can(user, 'manageTeam'), 'manage the team')) return;
+    const previous = invertRowUpdates(teamMembers, id, updates);
+    return saveOptimistically(
+      setTeamMembers,
+      current => updateRow(current, id, updates),
+      current => updateRow(current, id, previous),
+      () => repository.updateTeamMember(id, updates),
+      'Failed to update team member'
+    );
+  };
 
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-        <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
-          <div className="flex justify-between items-center mb-6">
-            <h2 className="text-2xl font-bold">Settings</h2>
-            <button onClick={() => setShowSettings(false)} className="text-gray-500 hover:text-gray-700">
-              <X size={24} />
-            </button>
-          </div>
+  // Role and linked team member of an account; admins only
+  const updateAppUser = (account, updates) => {
+    if (!allow(can(user, 'manageUsers'), 'manage users')) return;
+    const previous = invertRowUpdates(appUsers, account.id, updates);
+    return saveOptimistically(
+      setAppUsers,
+      current => updateRow(current, account.id, updates),
+      current => updateRow(current, account.id, previous),
+      () => repository.updateAppUser(account.id, updates),
+      'Failed to update user'
+    );
+  };
 
-          {/* Tabs */}
-          <div className="flex space-x-4 mb-6 border-b">
-            <button
-              className={`pb-2 px-1 ${activeTab === 'team' ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}`}
-              onClick={() => setActiveTab('team')}
-            >
-              Team Members
-            </button>
-            <button
-              className={`pb-2 px-1 ${activeTab === 'workflow' ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}`}
-              onClick={() => setActiveTab('workflow')}
-            >
-              Workflow Steps
-            </button>
-          </div>
+  // Open steps move to replacementId; completed steps keep who did the work
+  const removeTeamMember = async (id, replacementId = null) => {
+    if (!allow(can(user, 'manageTeam'), 'manage the team')) return;
+    const member = teamMembers.find(m => m.id === id);
+    const affected = projects.flatMap(project => project.project_steps || [])
+      .filter(step => step.status !== 'completed' && isAssignedTo(step, id));
+    const changes = affected.map(step => ({ id: step.id, assignee_ids: replaceAssignee(step, id, replacementId) }));
+    const restoreChanges = affected.map(step => ({ id: step.id, assignee_ids: step.assignee_ids }));
 
-          {/* Team Members Tab */}
-          {activeTab === 'team' && (
-            <div>
-              <div className="mb-4 flex space-x-2">
-                <input
-                  type="text"
-                  placeholder="Enter team member name"
-                  value={newMemberName}
-                  onChange={(e) => setNewMemberName(e.target.value)}
-                  className="flex-1 p-2 border rounded-md"
-                  onKeyPress={(e) => e.key === 'Enter' && handleAddMember()}
-                />
-                <button
-                  onClick={handleAddMember}
-                  className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 flex items-center space-x-2"
-                >
-                  <UserPlus size={16} />
-                  <span>Add</span>
-                </button>
-              </div>
+    setTeamMembers(current => removeRow(current, id));
+    const removed = await saveOptimistically(
+      setProjects,
+      current => applyStepChanges(current, changes),
+      current => applyStepChanges(current, restoreChanges),
+      async () => {
+        await repository.updateProjectSteps(changes);
+        await repository.removeTeamMember(id);
+      },
+      'Failed to remove team member'
+    );
+    if (!removed) {
+      setTeamMembers(current => upsertRow(current, member).sort(byName));
+      return;
+    }
+    // Putting a member's assignments back is part of managing the team
+    showUndo(`${member?.name || 'Team member'} removed`, async () => {
+      await repository.restoreTeamMember(id);
+      setTeamMembers(current => upsertRow(current, member).sort(byName));
+      await repository.updateProjectSteps(restoreChanges);
+      setProjects(current => applyStepChanges(current, restoreChanges));
+      refreshActivity();
+    });
+  };
 
-              <div className="space-y-2">
-                {teamMembers.map(member => (
-                  <div key={member.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-md">
-                    <span className="font-medium">{member.name}</span>
-                    <button
-                      onClick={() => removeTeamMember(member.id)}
-                      className="text-red-500 hover:text-red-700"
-                    >
-                      <X size={16} />
-                    </button>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
+  const createTemplate = async (name, steps = []) => {
+    if (!allow(can(user, 'manageTemplates'), 'change templates')) return;
+    try {
+      const template = await repository.createTemplate({ name: name.trim() }, steps);
+      setTemplates(current => [...current, template]);
+      return template;
+    } catch (err) {
+      setSyncError('Failed to create template: ' + err.message);
+    }
+  };
 
-          {/* Workflow Steps Tab */}
-          {activeTab === 'workflow' && (
-            <div>
-              <div className="mb-4 flex space-x-2">
-                <input
-                  type="text"
-                  placeholder="Enter step name"
-                  value={newStepName}
-                  onChange={(e) => setNewStepName(e.target.value)}
-                  className="flex-1 p-2 border rounded-md"
-                />
-                <input
-                  type="number"
-                  placeholder="Days"
-                  value={newStepDays}
-                  onChange={(e) => setNewStepDays(parseInt(e.target.value) || 1)}
-                  className="w-20 p-2 border rounded-md"
-                  min="1"
-                />
-                <button
-                  onClick={handleAddStep}
-                  className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600"
-                >
-                  Add Step
-                </button>
-              </div>
+  const duplicateTemplate = (template) =>
+    createTemplate(`${template.name} (copy)`, template.steps.map(step => ({
+      key: step.id,
+      depends_on: step.depends_on ?? null,
+      name: step.name,
+      step_order: step.step_order,
+      estimated_days: step.estimated_days
+    })));
 
-              <div className="space-y-2">
-                {workflowSteps.map((step, index) => (
-                  <div key={step.id} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-md">
-                    <span className="w-8 text-center font-medium text-gray-500">{index + 1}</span>
-                    {editingStep === step.id ? (
-                      <>
-                        <input
-                          type="text"
-                          value={step.name}
-                          onChange={(e) => handleUpdateStep(step.id, 'name', e.target.value)}
-                          className="flex-1 p-1 border rounded"
-                          onBlur={() => setEditingStep(null)}
-                          onKeyPress={(e) => e.key === 'Enter' && setEditingStep(null)}
-                          autoFocus
-                        />
-                        <input
-                          type="number"
-                          value={step.estimated_days}
-                          onChange={(e) => handleUpdateStep(step.id, 'estimated_days', parseInt(e.target.value))}
-                          className="w-16 p-1 border rounded text-center"
-                          min="1"
-                        />
-                      </>
-                    ) : (
-                      <>
-                        <span className="flex-1 cursor-pointer" onClick={() => setEditingStep(step.id)}>
-                          {step.name}
-                        </span>
-                        <span className="w-16 text-center text-gray-600">{step.estimated_days}d</span>
-                      </>
-                    )}
-                    <button
-                      onClick={() => removeWorkflowStep(step.id)}
-                      className="text-red-500 hover:text-red-700"
-                    >
-                      <X size={16} />
-                    </button>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
-        </div>
-      </div>
+  const renameTemplate = (id, name) => {
+    if (!allow(can(user, 'manageTemplates'), 'change templates')) return;
+    const updates = { name: name.trim() };
+    const previous = invertRowUpdates(templates, id, updates);
+    return saveOptimistically(
+      setTemplates,
+      current => updateRow(current, id, updates),
+      current => updateRow(current, id, previous),
+      () => repository.updateTemplate(id, updates),
+      'Failed to rename template'
     );
   };
 
-  // New Project Form Component
-  const NewProjectForm = () => {
-    const [formData, setFormData] = useState({
-      name: '',
-      client: '',
-      startDate: '',
-      endDate: '',
-      priority: 'medium',
-      description: ''
-    });
+  const removeTemplate = async (id) => {
+    if (!allow(can(user, 'manageTemplates'), 'change templates')) return;
+    const template = templates.find(t => t.id === id);
+    const removed = await saveOptimistically(
+      setTemplates,
+      current => removeRow(current, id),
+      current => upsertRow(current, template),
+      () => repository.removeTemplate(id),
+      'Failed to remove template'
+    );
+    if (removed) {
+      showUndo(`Template "${template?.name}" deleted`, async () => {
+        await repository.restoreTemplate(id);
+        setTemplates(current => upsertRow(current, template).sort(byName));
+      });
+    }
+  };
 
-    const handleSubmit = () => {
-      if (formData.name && formData.client && formData.startDate && formData.endDate) {
-        createNewProject(formData);
-      }
-    };
+  const addWorkflowStep = async (template, name, estimatedDays) => {
+    if (!allow(can(user, 'manageTemplates'), 'change templates')) return;
+    try {
+      const maxOrder = Math.max(...template.steps.map(s => s.step_order), 0);
+      const step = await repository.addWorkflowStep({
+        template_id: template.id,
+        name: name.trim(),
+        step_order: maxOrder + 1,
+        estimated_days: estimatedDays
+      });
+      setTemplates(current => current.map(t => (t.id === template.id ? { ...t, steps: [...t.steps, step] } : t)));
+    } catch (err) {
+      setSyncError('Failed to add workflow step: ' + err.message);
+    }
+  };
 
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-        <div className="bg-white rounded-lg p-6 w-full max-w-md">
-          <h2 className="text-xl font-bold mb-4">Create New Video Project</h2>
-          <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium mb-1">Project Name</label>
-              <input
-                type="text"
-                required
-                value={formData.name}
-                onChange={(e) => setFormData({...formData, name: e.target.value})}
-                className="w-full p-2 border rounded-md"
-                placeholder="e.g., Product Demo Video"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium mb-1">Client Name</label>
-              <input
-                type="text"
-                required
-                value={formData.client}
-                onChange={(e) => setFormData({...formData, client: e.target.value})}
-                className="w-full p-2 border rounded-md"
-                placeholder="Client company name"
-              />
-            </div>
-            <div className="grid grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium mb-1">Start Date</label>
-                <input
-                  type="date"
-                  required
-                  value={formData.startDate}
-                  onChange={(e) => setFormData({...formData, startDate: e.target.value})}
-                  className="w-full p-2 border rounded-md"
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium mb-1">Target End Date</label>
-                <input
-                  type="date"
-                  required
-                  value={formData.endDate}
-                  onChange={(e) => setFormData({...formData, endDate: e.target.value})}
-                  className="w-full p-2 border rounded-md"
-                />
-              </div>
-            </div>
-            <div>
-              <label className="block text-sm font-medium mb-1">Priority</label>
-              <select
-                value={formData.priority}
-                onChange={(e) => setFormData({...formData, priority: e.target.value})}
-                className="w-full p-2 border rounded-md"
-              >
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium mb-1">Description</label>
-              <textarea
-                value={formData.description}
-                onChange={(e) => setFormData({...formData, description: e.target.value})}
-                className="w-full p-2 border rounded-md"
-                rows="3"
-                placeholder="Brief project description..."
-              />
-            </div>
-            <div className="flex space-x-4 pt-4">
-              <button
-                type="button"
-                onClick={handleSubmit}
-                className="flex-1 bg-blue-500 text-white py-2 px-4 rounded-md hover:bg-blue-600"
-              >
-                Create Project
-              </button>
-              <button
-                type="button"
-                onClick={() => setShowNewProject(false)}
-                className="flex-1 bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400"
-              >
-                Cancel
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
+  const withTemplateSteps = (template, steps) => (current) =>
+    current.map(t => (t.id === template.id ? { ...t, steps } : t));
+
+  // Renumber the remaining steps; undo puts the step back in place
+  const removeWorkflowStep = async (id) => {
+    if (!allow(can(user, 'manageTemplates'), 'change templates')) return;
+    const template = templates.find(t => t.steps.some(s => s.id === id));
+    if (!template) return;
+    const step = template.steps.find(s => s.id === id);
+    const remaining = template.steps.filter(s => s.id !== id);
+    const orderChanges = normalizeOrder(remaining);
+    const removed = await saveOptimistically(
+      setTemplates,
+      withTemplateSteps(template, remaining.map((s, index) => ({ ...s, step_order: index + 1 }))),
+      withTemplateSteps(template, template.steps),
+      async () => {
+        await repository.removeWorkflowStep(id);
+        await repository.updateWorkflowSteps(orderChanges);
+      },
+      'Failed to remove workflow step'
     );
+    if (removed) {
+      showUndo(`Step "${step.name}" removed`, async () => {
+        await repository.restoreWorkflowStep(id);
+        await repository.updateWorkflowSteps(template.steps.map((s, index) => ({ id: s.id, step_order: index + 1 })));
+        setTemplates(withTemplateSteps(template, template.steps));
+      });
+    }
   };
 
+  // orderedSteps: the template's steps in their new order
+  const reorderWorkflowSteps = (template, orderedSteps) => {
+    if (!allow(can(user, 'manageTemplates'), 'change templates')) return;
+    const changes = normalizeOrder(orderedSteps);
+    return saveOptimistically(
+      setTemplates,
+      withTemplateSteps(template, orderedSteps.map((step, index) => ({ ...step, step_order: index + 1 }))),
+      withTemplateSteps(template, template.steps),
+      () => repository.updateWorkflowSteps(changes),
+      'Failed to reorder workflow steps'
+    );
+  };
+
+  // Brings the chosen projects in line with the template's current steps
+  const applyTemplateToProjects = async (template, projectIds) => {
+    if (!allow(can(user, 'manageTemplates'), 'change templates')) return;
+    try {
+      for (const project of projects.filter(p => projectIds.includes(p.id))) {
+        const plan = planTemplateSync(project, template, diffProjectWithTemplate(project, template));
+        const inserted = await repository.syncProjectSteps(plan);
+        setProjects(current => applyStepSync(current, project.id, plan, inserted));
+      }
+    } catch (err) {
+      setSyncError('Failed to apply template changes: ' + err.message);
+    }
+    refreshActivity();
+  };
+
+  const updateWorkflowStep = (id, updates) => {
+    if (!allow(can(user, 'manageTemplates'), 'change templates')) return;
+    const template = templates.find(t => t.steps.some(step => step.id === id));
+    if (updates.depends_on && createsCycle(template.steps, id, updates.depends_on)) {
+      setSyncError('Failed to update workflow step: those dependencies would create a cycle');
+      return;
+    }
+    setTemplates(current => updateTemplateStep(current, id, updates));
+    saveQueue.enqueue('workflow_templates', id, updates);
+  };
+
+  // Import the records planImport accepted, members and templates first
+  const importData = async (plan) => {
+    if (!allow(can(user, 'importData'), 'import data')) return;
+    const accepted = (key) => plan[key].filter(isImportable).map(({ item }) => item);
+    try {
+      const members = await Promise.all(accepted('team_members').map(async member => {
+        const created = await repository.addTeamMember({
+          name: member.name.trim(),
+          rate: member.rate ?? null,
+          rate_unit: member.rate_unit || 'hour',
+          ...(member.weekly_capacity != null && { weekly_capacity: member.weekly_capacity })
+        });
+        setTeamMembers(current => [...current, created]);
+        return created;
+      }));
+      const createdTemplates = await Promise.all(accepted('templates').map(async template => {
+        const created = await repository.createTemplate({ name: template.name.trim() }, (template.steps || []).map(step => ({
+          key: step.key,
+          depends_on: step.depends_on ?? null,
+          name: step.name,
+          step_order: step.step_order,
+          estimated_days: step.estimated_days
+        })));
+        setTemplates(current => [...current, created]);
+        return created;
+      }));
+      const allMembers = [...teamMembers, ...members];
+      const allTemplates = [...templates, ...createdTemplates];
+      const projectsToImport = accepted('projects');
+      await Promise.all(projectsToImport.map(async project => {
+        const created = await repository.createProject({
+          name: project.name.trim(),
+          client: project.client.trim(),
+          start_date: project.start_date,
+          end_date: project.end_date,
+          priority: project.priority,
+          description: project.description || '',
+          skip_weekends: project.skip_weekends !== false,
+          budget: project.budget ?? null,
+          archived_at: project.archived_at || null,
+          template_id: allTemplates.find(template => template.name === project.template)?.id ?? null
+        }, (project.steps || []).map(step => ({
+          key: step.key,
+          depends_on: step.depends_on ?? null,
+          name: step.name,
+          client_name: step.client_name || null,
+          step_order: step.step_order,
+          status: step.status,
+          estimated_days: step.estimated_days,
+          due_date: step.due_date || null,
+          assignee_ids: resolveAssignees(step.assignees || [], allMembers)
+        })));
+        setProjects(current => [created, ...current]);
+      }));
+
+      return { projects: projectsToImport.length, team_members: members.length, templates: createdTemplates.length };
+    } catch (err) {
+      setSyncError('Failed to import: ' + err.message);
+    } finally {
+      refreshActivity();
+    }
+  };
+
+  const liveProjects = projects.filter(project => !project.deleted_at);
+  const trashedProjects = projects.filter(project => project.deleted_at);
+
+  // Archived projects only show up when searched for or filtered explicitly
+  const filteredProjects = liveProjects.filter(project => {
+    const matchesSearch = project.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                         project.client.toLowerCase().includes(searchTerm.toLowerCase());
+    if (filterStatus === 'archived') return matchesSearch && Boolean(project.archived_at);
+    if (project.archived_at && !searchTerm) return false;
+    const matchesFilter = filterStatus === 'all' ||
+                         (HEALTH_STATUSES[filterStatus]
+                           ? getProjectHealth(project).status === filterStatus
+                           : getProjectStatus(project) === filterStatus);
+    return matchesSearch && matchesFilter;
+  });
+
   // Project Card Component
   const ProjectCard = ({ project }) => {
     const progress = getProjectProgress(project);
     const status = getProjectStatus(project);
+    const overrun = getScheduleOverrun(project);
+    const health = getProjectHealth(project);
+    const revisions = getRevisionCount(project);
+    const deliverable = getLatestApprovedAsset(project);
+    const credits = getProjectCredits(project);
+    const budgetReport = getBudgetReport(project, teamMembers);
     const statusColors = {
       'not-started': 'bg-gray-100 text-gray-800',
       'in-progress': 'bg-blue-100 text-blue-800',
@@ -535,25 +837,53 @@ const App = () => {
           <div>
             <h3 className="font-semibold text-lg text-gray-800">{project.name}</h3>
             <p className="text-gray-600 text-sm">{project.client}</p>
+            {project.description && (
+              <p className="text-gray-500 text-xs mt-1 line-clamp-2">{project.description}</p>
+            )}
           </div>
           <div className="flex space-x-2">
             <button
-              onClick={() => setSelectedProject(project)}
+              onClick={() => setSelectedProjectId(project.id)}
               className="text-blue-500 hover:text-blue-700"
             >
               <Edit3 size={16} />
             </button>
-            <button
-              onClick={() => deleteProject(project.id)}
-              className="text-red-500 hover:text-red-700"
-            >
-              <Trash2 size={16} />
-            </button>
+            {canManageProjects && (
+              <>
+                <button
+                  onClick={() => (project.archived_at ? unarchiveProject(project) : archiveProject(project))}
+                  className="text-gray-500 hover:text-gray-700"
+                  title={project.archived_at ? 'Unarchive' : 'Archive'}
+                >
+                  {project.archived_at ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+                </button>
+                <button
+                  onClick={() => trashProject(project)}
+                  className="text-red-500 hover:text-red-700"
+                  title="Move to trash"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </>
+            )}
           </div>
         </div>
         
-        <div className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${statusColors[status]} mb-3`}>
-          {status.replace('-', ' ').toUpperCase()}
+        <div className="flex flex-wrap gap-2 mb-3">
+          <div className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${statusColors[status]}`}>
+            {status.replace('-', ' ').toUpperCase()}
+          </div>
+          <div
+            className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${HEALTH_STATUSES[health.status].className}`}
+            title={health.reasons.join('\n')}
+          >
+            {HEALTH_STATUSES[health.status].label.toUpperCase()}
+          </div>
+          {project.archived_at && (
+            <div className="inline-block px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">
+              ARCHIVED
+            </div>
+          )}
         </div>
         
         <div className="mb-3">
@@ -582,113 +912,59 @@ const App = () => {
             <span>Priority:</span>
             <span className="capitalize font-medium">{project.priority}</span>
           </div>
+          {budgetReport.budget !== null && (
+            <div className="flex justify-between">
+              <span>Budget:</span>
+              <span className={`font-medium ${budgetReport.remaining < 0 ? 'text-red-700' : ''}`}>
+                {formatMoney(budgetReport.actualCost)} of {formatMoney(budgetReport.budget)}
+              </span>
+            </div>
+          )}
+          {credits > 0 && (
+            <div className="flex justify-between">
+              <span>AI spend:</span>
+              <span className="font-medium">{formatCredits(credits)}</span>
+            </div>
+          )}
         </div>
-      </div>
-    );
-  };
 
-  // Project Detail Component
-  const ProjectDetail = ({ project, onClose }) => {
-    const handleStepUpdate = async (stepId, field, value) => {
-      await updateProjectStep(project.id, stepId, { [field]: value });
-      
-      if (field === 'status' && value === 'completed') {
-        const currentIndex = project.project_steps.findIndex(step => step.id === stepId);
-        if (currentIndex < project.project_steps.length - 1) {
-          const nextStep = project.project_steps[currentIndex + 1];
-          if (nextStep.status === 'pending') {
-            await updateProjectStep(project.id, nextStep.id, { status: 'in-progress' });
-          }
-        }
-      }
-    };
+        {deliverable && (
+          <div className="mt-3 flex items-center space-x-1 text-xs text-green-700">
+            <BadgeCheck size={14} />
+            <span>Approved:</span>
+            {isLink(deliverable.url) ? (
+              <a href={deliverable.url} target="_blank" rel="noopener noreferrer" className="underline truncate">
+                {deliverable.label} v{deliverable.version}
+              </a>
+            ) : (
+              <span className="truncate" title={deliverable.url}>{deliverable.label} v{deliverable.version}</span>
+            )}
+          </div>
+        )}
 
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-        <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
-          <div className="flex justify-between items-center mb-6">
-            <div>
-              <h2 className="text-2xl font-bold">{project.name}</h2>
-              <p className="text-gray-600">Client: {project.client}</p>
-            </div>
-            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
-              <X size={24} />
-            </button>
+        {revisions > 0 && (
+          <div
+            className={`mt-3 flex items-center space-x-1 text-xs ${isStuckInReview(project) ? 'text-red-700' : 'text-gray-600'}`}
+            title={isStuckInReview(project) ? 'A review step has gone several rounds without approval' : undefined}
+          >
+            <Repeat size={14} />
+            <span>{revisions} revision{revisions === 1 ? '' : 's'} requested</span>
           </div>
-          
-          <div className="space-y-4">
-            {project.project_steps?.map((step) => (
-              <div key={step.id} className="border rounded-lg p-4">
-                <div className="flex items-center justify-between mb-2">
-                  <div className="flex items-center space-x-3">
-                    <button
-                      onClick={() => handleStepUpdate(step.id, 'status', 
-                        step.status === 'completed' ? 'pending' : 'completed'
-                      )}
-                      className={`${step.status === 'completed' ? 'text-green-500' : 'text-gray-400'}`}
-                    >
-                      {step.status === 'completed' ? <CheckCircle size={20} /> : <Circle size={20} />}
-                    </button>
-                    <span className={`font-medium ${step.status === 'completed' ? 'line-through text-gray-500' : ''}`}>
-                      {step.name}
-                    </span>
-                  </div>
-                  <div className="flex items-center space-x-2">
-                    <select
-                      value={step.status}
-                      onChange={(e) => handleStepUpdate(step.id, 'status', e.target.value)}
-                      className="text-xs border rounded px-2 py-1"
-                    >
-                      <option value="pending">Pending</option>
-                      <option value="in-progress">In Progress</option>
-                      <option value="completed">Completed</option>
-                      <option value="blocked">Blocked</option>
-                    </select>
-                  </div>
-                </div>
-                
-                <div className="grid grid-cols-3 gap-4 text-sm">
-                  <div>
-                    <label className="block text-gray-600 text-xs">Assignee</label>
-                    <select
-                      value={step.assignee || ''}
-                      onChange={(e) => handleStepUpdate(step.id, 'assignee', e.target.value)}
-                      className="w-full border rounded px-2 py-1"
-                    >
-                      <option value="">Unassigned</option>
-                      {teamMembers.map(member => (
-                        <option key={member.id} value={member.name}>{member.name}</option>
-                      ))}
-                    </select>
-                  </div>
-                  <div>
-                    <label className="block text-gray-600 text-xs">Due Date</label>
-                    <input
-                      type="date"
-                      value={step.due_date || ''}
-                      onChange={(e) => handleStepUpdate(step.id, 'due_date', e.target.value)}
-                      className="w-full border rounded px-2 py-1"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-gray-600 text-xs">Est. Days</label>
-                    <input
-                      type="number"
-                      value={step.estimated_days || 1}
-                      onChange={(e) => handleStepUpdate(step.id, 'estimated_days', parseInt(e.target.value))}
-                      className="w-full border rounded px-2 py-1"
-                      min="1"
-                    />
-                  </div>
-                </div>
-              </div>
-            ))}
+        )}
+
+        {overrun > 0 && (
+          <div className="mt-3 flex items-center space-x-1 text-xs text-amber-700">
+            <AlertTriangle size={14} />
+            <span>Plan runs {overrun} day{overrun === 1 ? '' : 's'} past end date</span>
           </div>
-        </div>
+        )}
       </div>
     );
   };
 
+  const selectedProject = projects.find(project => project.id === selectedProjectId);
+  const editingProject = projects.find(project => project.id === editingProjectId);
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -726,21 +1002,37 @@ const App = () => {
               <h1 className="text-2xl font-bold text-gray-900">AI Video Production Tracker</h1>
               <p className="text-gray-600">Manage your video projects from script to delivery</p>
             </div>
-            <div className="flex space-x-3">
-              <button
-                onClick={() => setShowSettings(true)}
-                className="bg-gray-500 text-white px-4 py-2 rounded-lg flex items-center space-x-2 hover:bg-gray-600"
-              >
-                <Settings size={20} />
-                <span>Settings</span>
-              </button>
+            <div className="flex items-center space-x-3">
+              <SaveStatus status={saveStatus} onRetry={() => saveQueue.flush()} onDiscard={discardRejectedSaves} />
+              <div className="text-right text-sm">
+                <p className="text-gray-800">{teamMembers.find(m => m.id === user.member_id)?.name || user.email}</p>
+                <p className="text-gray-500">{getRoleLabel(user.role)}</p>
+              </div>
               <button
-                onClick={() => setShowNewProject(true)}
-                className="bg-blue-500 text-white px-4 py-2 rounded-lg flex items-center space-x-2 hover:bg-blue-600"
+                onClick={onSignOut}
+                className="text-gray-500 hover:text-gray-700"
+                title="Sign out"
               >
-                <Plus size={20} />
-                <span>New Project</span>
+                <LogOut size={20} />
               </button>
+              {canOpenSettings(user) && (
+                <button
+                  onClick={() => setShowSettings(true)}
+                  className="bg-gray-500 text-white px-4 py-2 rounded-lg flex items-center space-x-2 hover:bg-gray-600"
+                >
+                  <Settings size={20} />
+                  <span>Settings</span>
+                </button>
+              )}
+              {canManageProjects && (
+                <button
+                  onClick={() => setShowNewProject(true)}
+                  className="bg-blue-500 text-white px-4 py-2 rounded-lg flex items-center space-x-2 hover:bg-blue-600"
+                >
+                  <Plus size={20} />
+                  <span>New Project</span>
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -765,21 +1057,100 @@ const App = () => {
               className="border rounded-lg px-3 py-2"
             >
               <option value="all">All Projects</option>
-              <option value="not-started">Not Started</option>
-              <option value="in-progress">In Progress</option>
-              <option value="completed">Completed</option>
+              <optgroup label="Progress">
+                <option value="not-started">Not Started</option>
+                <option value="in-progress">In Progress</option>
+                <option value="completed">Completed</option>
+              </optgroup>
+              <optgroup label="Health">
+                {Object.entries(HEALTH_STATUSES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </optgroup>
+              <option value="archived">Archived</option>
             </select>
           </div>
+          <div className="flex border rounded-lg overflow-hidden bg-white">
+            {VIEWS.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                onClick={() => setView(id)}
+                className={`px-3 py-2 flex items-center space-x-2 text-sm ${view === id ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+              >
+                <Icon size={16} />
+                <span>{label}</span>
+              </button>
+            ))}
+          </div>
         </div>
 
+        {view === 'timeline' && (
+          <TimelineView
+            projects={filteredProjects}
+            onOpenProject={(project) => setSelectedProjectId(project.id)}
+            onRescheduleStep={(project, stepId, dueDate) => updateProjectStep(project, stepId, { due_date: dueDate })}
+            canEditStep={canEdit}
+          />
+        )}
+
+        {view === 'board' && (
+          <BoardView
+            projects={filteredProjects}
+            teamMembers={teamMembers}
+            onOpenProject={(project) => setSelectedProjectId(project.id)}
+            onUpdateStep={updateProjectStep}
+            canEditStep={canEdit}
+          />
+        )}
+
+        {view === 'workload' && (
+          <WorkloadView
+            projects={filteredProjects}
+            teamMembers={teamMembers}
+            onUpdateMember={can(user, 'manageTeam') ? updateTeamMember : null}
+          />
+        )}
+
+        {/* Archived projects count towards analytics; the search filter doesn't apply */}
+        {view === 'analytics' && (
+          <AnalyticsView
+            projects={liveProjects}
+            teamMembers={teamMembers}
+            templates={templates}
+            activity={activity}
+          />
+        )}
+
+        {view === 'activity' && (
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-lg font-semibold mb-4">Recent Activity</h2>
+            <ActivityFeed
+              entries={activity.slice(0, RECENT_ACTIVITY_LIMIT)}
+              teamMembers={teamMembers}
+              projects={projects}
+              onOpenProject={(project) => setSelectedProjectId(project.id)}
+            />
+          </div>
+        )}
+
+        {view === 'trash' && (
+          <TrashView
+            projects={trashedProjects}
+            onRestore={canManageProjects ? restoreProject : null}
+            onDelete={can(user, 'deleteProjects') ? deleteProject : null}
+          />
+        )}
+
         {/* Projects Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {filteredProjects.map(project => (
-            <ProjectCard key={project.id} project={project} />
-          ))}
-        </div>
+        {view === 'grid' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {filteredProjects.map(project => (
+              <ProjectCard key={project.id} project={project} />
+            ))}
+          </div>
+        )}
 
-        {filteredProjects.length === 0 && (
+        {view === 'grid' && filteredProjects.length === 0 && (
           <div className="text-center py-12">
             <div className="text-gray-400 mb-4">
               <Calendar size={64} className="mx-auto" />
@@ -791,14 +1162,87 @@ const App = () => {
       </div>
 
       {/* Modals */}
-      {showNewProject && <NewProjectForm />}
+      {showNewProject && (
+        <ProjectForm templates={templates} onCreate={createNewProject} onClose={() => setShowNewProject(false)} />
+      )}
       {selectedProject && (
-        <ProjectDetail 
-          project={selectedProject} 
-          onClose={() => setSelectedProject(null)} 
+        <ProjectDetail
+          project={selectedProject}
+          teamMembers={teamMembers}
+          currentMemberId={user.member_id ?? null}
+          activity={activity.filter(entry => entry.project_id === selectedProject.id)}
+          clientCredits={getClientCredits(liveProjects, selectedProject.client)}
+          onClose={() => setSelectedProjectId(null)}
+          onEdit={(project) => setEditingProjectId(project.id)}
+          onUpdateStep={updateProjectStep}
+          onUpdateSteps={updateProjectSteps}
+          onAddTimeEntry={addTimeEntry}
+          onRemoveTimeEntry={removeTimeEntry}
+          onAddGenerationRun={addGenerationRun}
+          onAddAsset={addStepAsset}
+          onSetCurrentAsset={setCurrentAsset}
+          onApproveAsset={approveAsset}
+          onAddComment={addStepComment}
+          onStartRound={startRevisionRound}
+          onDecideRound={decideRevisionRound}
+          onSetShareToken={setShareToken}
+          onRevokeShareLink={revokeShareLink}
+          onAddStep={addProjectStep}
+          onRemoveStep={removeProjectStep}
+          onRenameStep={renameProjectStep}
+          onReorderSteps={reorderProjectSteps}
+          canManage={canManageProjects}
+          canEditStep={canEdit}
+        />
+      )}
+      {editingProject && (
+        <ProjectForm
+          project={editingProject}
+          templates={templates}
+          onUpdate={updateProject}
+          onClose={() => setEditingProjectId(null)}
+        />
+      )}
+      {syncError && (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 z-[60] max-w-xl p-3 rounded-md shadow-lg bg-red-50 border border-red-200 text-red-700 text-sm flex items-center space-x-3">
+          <AlertTriangle size={16} className="shrink-0" />
+          <span>{syncError}</span>
+          <button onClick={() => setSyncError(null)} className="text-red-500 hover:text-red-700">
+            <X size={16} />
+          </button>
+        </div>
+      )}
+      {toast && (
+        <UndoToast
+          toast={toast}
+          onUndo={undoLastAction}
+          onDismiss={() => setToast(null)}
+        />
+      )}
+      {showSettings && (
+        <SettingsModal
+          currentUser={user}
+          appUsers={appUsers}
+          teamMembers={teamMembers}
+          templates={templates}
+          projects={liveProjects}
+          onClose={() => setShowSettings(false)}
+          onAddMember={addTeamMember}
+          onUpdateMember={updateTeamMember}
+          onRemoveMember={removeTeamMember}
+          onCreateTemplate={createTemplate}
+          onDuplicateTemplate={duplicateTemplate}
+          onRenameTemplate={renameTemplate}
+          onRemoveTemplate={removeTemplate}
+          onAddStep={addWorkflowStep}
+          onUpdateStep={updateWorkflowStep}
+          onRemoveStep={removeWorkflowStep}
+          onReorderSteps={reorderWorkflowSteps}
+          onApplyTemplate={applyTemplateToProjects}
+          onImport={importData}
+          onUpdateUser={updateAppUser}
         />
       )}
-      {showSettings && <SettingsModal />}
     </div>
   );
 };
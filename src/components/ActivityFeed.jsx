@@ -0,0 +1,51 @@
+import React from 'react';
+import { History } from 'lucide-react';
+import { describeActivity } from '../lib/activity';
+
+// Chronological list of activity entries, newest first. With `projects`
+// given, each entry names its project and links to it while it still exists.
+const ActivityFeed = ({ entries, teamMembers, projects = null, onOpenProject, emptyMessage = 'No activity yet' }) => {
+  if (entries.length === 0) {
+    return (
+      <div className="text-center py-8 text-gray-500">
+        <History size={32} className="mx-auto mb-2 text-gray-400" />
+        <p className="text-sm">{emptyMessage}</p>
+      </div>
+    );
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2">
+      {entries.map(entry => {
+        const project = projects?.find(p => p.id === entry.project_id);
+        return (
+          <li key={entry.id} className="ml-4 mb-3">
+            <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-200 border border-white" />
+            <p className="text-xs text-gray-500">
+              {new Date(entry.created_at).toLocaleString()}
+              {entry.actor_name && ` · by ${entry.actor_name}`}
+            </p>
+            <p className="text-sm text-gray-800">
+              {projects && (
+                project ? (
+                  <button
+                    onClick={() => onOpenProject(project)}
+                    className="font-medium text-blue-600 hover:text-blue-800"
+                  >
+                    {project.name}
+                  </button>
+                ) : (
+                  <span className="font-medium text-gray-600">{entry.project_name || 'Deleted project'}</span>
+                )
+              )}
+              {projects && ': '}
+              {describeActivity(entry, teamMembers)}
+            </p>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default ActivityFeed;
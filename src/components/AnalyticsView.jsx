@@ -0,0 +1,153 @@
+import React from 'react';
+import { today } from '../lib/dates';
+import {
+  getStatusHistory,
+  getCompletedProjects,
+  getThroughputByMonth,
+  getCycleTimeByStep,
+  getMostBlockedSteps,
+  getMemberCompletions,
+  getOnTimeRate,
+  formatPercent,
+  formatDays
+} from '../lib/analytics';
+
+const MONTHS_SHOWN = 6;
+
+const Panel = ({ title, description, children }) => (
+  <div className="bg-white rounded-lg shadow-md p-6">
+    <h2 className="text-lg font-semibold">{title}</h2>
+    {description && <p className="text-sm text-gray-500 mb-4">{description}</p>}
+    {children}
+  </div>
+);
+
+const Empty = ({ children }) => <p className="text-sm text-gray-500 py-4 text-center">{children}</p>;
+
+// Variance against the estimate: red when a stage runs over by more than a
+// quarter, green when it comes in under
+const ratioClass = (ratio) => {
+  if (ratio === null) return 'text-gray-500';
+  if (ratio > 1.25) return 'text-red-600 font-semibold';
+  if (ratio > 1) return 'text-amber-700';
+  return 'text-green-700';
+};
+
+// How the studio is actually performing, built from the projects and the
+// status changes in the activity log
+const AnalyticsView = ({ projects, teamMembers, templates, activity }) => {
+  const history = getStatusHistory(activity);
+  const completedProjects = getCompletedProjects(projects, history);
+  const throughput = getThroughputByMonth(completedProjects, today(), MONTHS_SHOWN);
+  const maxThroughput = Math.max(1, ...throughput.map(({ count }) => count));
+  const cycleTimes = getCycleTimeByStep(projects, history, templates);
+  const blocked = getMostBlockedSteps(projects, history);
+  const members = getMemberCompletions(projects, history, teamMembers);
+  const onTimeRate = getOnTimeRate(completedProjects);
+  const onTimeCount = completedProjects.filter(({ onTime }) => onTime).length;
+  const datedCount = completedProjects.filter(({ onTime }) => onTime !== null).length;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <Panel title="Projects completed per month" description="A project completes when its last step does">
+        <div className="flex items-end space-x-3 h-40">
+          {throughput.map(({ month, label, count }) => (
+            <div key={month} className="flex-1 flex flex-col items-center justify-end h-full">
+              <span className="text-xs text-gray-700 mb-1">{count}</span>
+              <div className="w-full bg-blue-500 rounded-t" style={{ height: `${(count / maxThroughput) * 100}%`, minHeight: count > 0 ? 4 : 0 }}></div>
+              <span className="text-xs text-gray-500 mt-1 whitespace-nowrap">{label}</span>
+            </div>
+          ))}
+        </div>
+      </Panel>
+
+      <Panel title="On-time delivery" description="Completed projects whose last step finished by the project end date">
+        <p className="text-4xl font-bold text-gray-900">{formatPercent(onTimeRate)}</p>
+        <p className="text-sm text-gray-600 mt-1">
+          {datedCount > 0
+            ? `${onTimeCount} of ${datedCount} completed projects delivered on time`
+            : 'No completed projects with a recorded completion date yet'}
+        </p>
+      </Panel>
+
+      <Panel
+        title="Cycle time per step"
+        description="Working days from a step being picked up to being completed, against its template estimate"
+      >
+        {cycleTimes.length === 0 ? (
+          <Empty>No steps have been started and completed since status changes were first logged</Empty>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 text-xs">
+                <th className="font-medium py-1">Step</th>
+                <th className="font-medium py-1 text-right">Completed</th>
+                <th className="font-medium py-1 text-right">Average</th>
+                <th className="font-medium py-1 text-right">Estimate</th>
+                <th className="font-medium py-1 text-right">Actual / estimate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cycleTimes.map(row => (
+                <tr key={row.name} className="border-t">
+                  <td className="py-1">{row.name}</td>
+                  <td className="py-1 text-right">{row.count}</td>
+                  <td className="py-1 text-right">{formatDays(row.averageDays)}</td>
+                  <td className="py-1 text-right">{formatDays(row.estimatedDays)}</td>
+                  <td className={`py-1 text-right ${ratioClass(row.ratio)}`}>
+                    {row.ratio === null ? '–' : `${Math.round(row.ratio * 100)}%`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Panel>
+
+      <Panel title="Most frequently blocked steps" description="How often steps of each name were marked blocked">
+        {blocked.length === 0 ? (
+          <Empty>No step has been blocked</Empty>
+        ) : (
+          <ul className="space-y-2 text-sm">
+            {blocked.map(row => (
+              <li key={row.name} className="flex justify-between">
+                <span>{row.name}</span>
+                <span className="text-gray-600">
+                  {row.count} {row.count === 1 ? 'time' : 'times'}
+                  {row.current > 0 && <span className="text-red-600"> · {row.current} blocked now</span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Panel>
+
+      <Panel title="Completed steps per team member" description="On time means finished by the step's due date">
+        {members.length === 0 ? (
+          <Empty>Add team members in Settings to see their output</Empty>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 text-xs">
+                <th className="font-medium py-1">Team member</th>
+                <th className="font-medium py-1 text-right">Completed steps</th>
+                <th className="font-medium py-1 text-right">On time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {members.map(({ member, completed, onTimeRate: rate }) => (
+                <tr key={member.id} className="border-t">
+                  <td className="py-1">{member.name}</td>
+                  <td className="py-1 text-right">{completed}</td>
+                  <td className="py-1 text-right">{formatPercent(rate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Panel>
+    </div>
+  );
+};
+
+export default AnalyticsView;
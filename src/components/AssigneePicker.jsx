@@ -0,0 +1,45 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { getAssigneeIds, getMemberName } from '../lib/team';
+
+// Chips for the current assignees plus a select to add another one
+const AssigneePicker = ({ step, teamMembers, onChange }) => {
+  const ids = getAssigneeIds(step);
+  const available = teamMembers.filter(member => !ids.includes(member.id));
+
+  return (
+    <div className="space-y-1">
+      {ids.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {ids.map(id => (
+            <span key={id} className="inline-flex items-center space-x-1 bg-blue-50 text-blue-800 rounded-full px-2 py-0.5 text-xs">
+              <span>{getMemberName(teamMembers, id)}</span>
+              <button
+                onClick={() => onChange(ids.filter(other => other !== id))}
+                className="text-blue-400 hover:text-blue-700"
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <select
+        value=""
+        onChange={(e) => {
+          const member = available.find(m => String(m.id) === e.target.value);
+          if (member) onChange([...ids, member.id]);
+        }}
+        className="w-full border rounded px-2 py-1"
+        disabled={available.length === 0}
+      >
+        <option value="">{ids.length > 0 ? '+ Add assignee' : 'Unassigned'}</option>
+        {available.map(member => (
+          <option key={member.id} value={member.id}>{member.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default AssigneePicker;
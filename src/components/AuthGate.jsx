@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { LogIn } from 'lucide-react';
+import { repository, saveQueue } from '../data';
+
+// Asks for sign-in before rendering the app. children(user, onSignOut) is
+// called with the signed-in account ({ id, email, role, member_id }).
+const AuthGate = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [mode, setMode] = useState('signIn');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // The save queue follows the account, so unsaved edits go out as their author
+  const signedIn = (account) => {
+    saveQueue.setUser(account?.id ?? null);
+    setUser(account);
+  };
+
+  useEffect(() => {
+    repository.getCurrentUser()
+      .then(signedIn)
+      .catch(err => setError('Failed to check sign-in: ' + err.message))
+      .finally(() => setChecking(false));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      signedIn(mode === 'signIn'
+        ? await repository.signIn(email.trim(), password)
+        : await repository.signUp(email.trim(), password));
+      setError(null);
+      setPassword('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await repository.signOut();
+    } finally {
+      signedIn(null);
+    }
+  };
+
+  if (checking) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (user) return children(user, handleSignOut);
+
+  const isLocal = repository.backend === 'local';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <form onSubmit={handleSubmit} className="bg-white p-8 rounded-lg shadow-md w-full max-w-sm space-y-4">
+        <div>
+          <h1 className="text-xl font-bold text-gray-900">AI Video Production Tracker</h1>
+          <p className="text-gray-600 text-sm">{mode === 'signIn' ? 'Sign in to continue' : 'Create an account'}</p>
+        </div>
+        <input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="w-full border rounded-md px-3 py-2"
+          required
+        />
+        <input
+          type="password"
+          placeholder={isLocal ? 'Password (any, local only)' : 'Password'}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full border rounded-md px-3 py-2"
+          required={!isLocal}
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 flex items-center justify-center space-x-2 disabled:opacity-50"
+        >
+          <LogIn size={16} />
+          <span>{mode === 'signIn' ? 'Sign in' : 'Sign up'}</span>
+        </button>
+        {isLocal ? (
+          <p className="text-xs text-gray-500">
+            Local mode: any email signs in and no password is checked. The first account is an admin.
+          </p>
+        ) : (
+          <button
+            type="button"
+            onClick={() => { setMode(mode === 'signIn' ? 'signUp' : 'signIn'); setError(null); }}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            {mode === 'signIn' ? 'No account yet? Sign up' : 'Already have an account? Sign in'}
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default AuthGate;
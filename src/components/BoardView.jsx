@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { Calendar, Users } from 'lucide-react';
+import { formatAssignees, getAssigneeIds, getMemberName, replaceAssignee } from '../lib/team';
+
+const STATUS_COLUMNS = [
+  { id: 'pending', label: 'Pending', accent: 'border-t-gray-400' },
+  { id: 'in-progress', label: 'In Progress', accent: 'border-t-blue-500' },
+  { id: 'blocked', label: 'Blocked', accent: 'border-t-red-500' },
+  { id: 'completed', label: 'Completed', accent: 'border-t-green-500' }
+];
+
+// Cards carry { stepId, from } under their own type, so text or links
+// dragged in from elsewhere are ignored
+const STEP_DRAG_TYPE = 'application/x-step';
+
+const readDraggedStep = (dataTransfer) => {
+  try {
+    return JSON.parse(dataTransfer.getData(STEP_DRAG_TYPE)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const statusDots = {
+  pending: 'bg-gray-400',
+  'in-progress': 'bg-blue-500',
+  completed: 'bg-green-500',
+  blocked: 'bg-red-500'
+};
+
+// Each grouping says which columns a step belongs in and, if cards can be
+// dropped between columns, the step update a move from one column to another
+// makes and the fields it changes
+const GROUPINGS = {
+  status: {
+    label: 'Status',
+    columns: () => STATUS_COLUMNS,
+    columnsOf: (step) => [step.status || 'pending'],
+    move: (step, from, to) => ({ status: to }),
+    fields: ['status']
+  },
+  assignee: {
+    label: 'Assignee',
+    columns: (cards, teamMembers) => {
+      const ids = teamMembers.map(member => member.id);
+      // Keep cards visible whose assignee is no longer on the team
+      cards.forEach(({ step }) => {
+        getAssigneeIds(step).forEach(id => {
+          if (!ids.includes(id)) ids.push(id);
+        });
+      });
+      return [{ id: '', label: 'Unassigned' }, ...ids.map(id => ({ id, label: getMemberName(teamMembers, id) }))];
+    },
+    // A step with several assignees shows up in each of their columns
+    columnsOf: (step) => (getAssigneeIds(step).length > 0 ? getAssigneeIds(step) : ['']),
+    move: (step, from, to) => ({ assignee_ids: replaceAssignee(step, from, to) }),
+    fields: ['assignee_ids']
+  },
+  step: {
+    label: 'Workflow Step',
+    move: null,
+    columns: (cards) => {
+      const names = [];
+      [...cards]
+        .sort((a, b) => a.step.step_order - b.step.step_order)
+        .forEach(({ step }) => {
+          if (!names.includes(step.name)) names.push(step.name);
+        });
+      return names.map(name => ({ id: name, label: name }));
+    },
+    columnsOf: (step) => [step.name]
+  }
+};
+
+const BoardView = ({ projects, teamMembers, onOpenProject, onUpdateStep, canEditStep = () => true }) => {
+  const [groupBy, setGroupBy] = useState('status');
+  const [dragOver, setDragOver] = useState(null);
+  const [hideCompleted, setHideCompleted] = useState(false);
+
+  const grouping = GROUPINGS[groupBy];
+  const cards = projects.flatMap(project =>
+    (project.project_steps || [])
+      .filter(step => !hideCompleted || step.status !== 'completed')
+      .map(step => ({ project, step }))
+  );
+  const columns = grouping.columns(cards, teamMembers)
+    .filter(column => !(hideCompleted && column.id === 'completed' && groupBy === 'status'));
+
+  const handleDrop = async (e, column) => {
+    e.preventDefault();
+    setDragOver(null);
+    const { stepId, from } = readDraggedStep(e.dataTransfer);
+    const card = cards.find(({ step }) => String(step.id) === String(stepId));
+    if (!card || grouping.columnsOf(card.step).includes(column.id)) return;
+    const source = grouping.columnsOf(card.step).find(id => String(id) === String(from));
+    await onUpdateStep(card.project, card.step.id, grouping.move(card.step, source, column.id));
+  };
+
+  const dropProps = (column) => grouping.move ? {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(STEP_DRAG_TYPE)) return;
+      e.preventDefault();
+      setDragOver(column.id);
+    },
+    onDragLeave: () => setDragOver(null),
+    onDrop: (e) => handleDrop(e, column)
+  } : {};
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <div className="flex items-center space-x-2 text-sm">
+          <span className="text-gray-600">Group by</span>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="border rounded-lg px-3 py-1"
+          >
+            {Object.entries(GROUPINGS).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+          {!grouping.move && (
+            <span className="text-gray-400">Cards can't be moved between workflow steps</span>
+          )}
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={hideCompleted}
+            onChange={(e) => setHideCompleted(e.target.checked)}
+          />
+          <span>Hide completed steps</span>
+        </label>
+      </div>
+
+      <div className="flex space-x-4 overflow-x-auto pb-4">
+        {columns.map(column => {
+          const columnCards = cards.filter(({ step }) => grouping.columnsOf(step).includes(column.id));
+          return (
+            <div
+              key={column.id || 'none'}
+              {...dropProps(column)}
+              className={`w-72 shrink-0 rounded-lg bg-gray-100 border-t-4 ${column.accent || 'border-t-indigo-400'} ${dragOver === column.id ? 'ring-2 ring-blue-400' : ''}`}
+            >
+              <div className="flex justify-between items-center px-3 py-2">
+                <h3 className="font-semibold text-gray-700">{column.label}</h3>
+                <span className="text-xs text-gray-500 bg-white rounded-full px-2 py-0.5">{columnCards.length}</span>
+              </div>
+              <div className="px-3 pb-3 space-y-2 min-h-[4rem]">
+                {columnCards.map(({ project, step }) => {
+                  const movable = Boolean(grouping.move) && canEditStep(step, grouping.fields);
+                  return (
+                    <div
+                      key={step.id}
+                      draggable={movable}
+                      onDragStart={(e) => e.dataTransfer.setData(STEP_DRAG_TYPE, JSON.stringify({ stepId: step.id, from: column.id }))}
+                      onClick={() => onOpenProject(project)}
+                      className={`bg-white rounded-md shadow-sm p-3 text-sm hover:shadow-md ${movable ? 'cursor-grab' : 'cursor-pointer'}`}
+                    >
+                      <div className="flex items-center space-x-2 mb-1">
+                        <span className={`inline-block w-2 h-2 rounded-full ${statusDots[step.status] || statusDots.pending}`}></span>
+                        <span className="font-medium text-gray-800">{step.name}</span>
+                      </div>
+                      <p className="text-gray-600 text-xs mb-2">{project.name} · {project.client}</p>
+                      <div className="flex justify-between text-xs text-gray-500">
+                        <span className="flex items-center space-x-1">
+                          <Users size={12} />
+                          <span>{formatAssignees(step, teamMembers)}</span>
+                        </span>
+                        {step.due_date && (
+                          <span className="flex items-center space-x-1">
+                            <Calendar size={12} />
+                            <span>{new Date(step.due_date).toLocaleDateString()}</span>
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default BoardView;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { getBudgetReport, formatMoney, formatHours } from '../lib/budget';
+
+const varianceColor = (estimated, actual) =>
+  (actual > estimated ? 'text-red-700' : 'text-gray-700');
+
+// Estimated against actual time and cost for each step of a project
+const BudgetReport = ({ project, teamMembers }) => {
+  const report = getBudgetReport(project, teamMembers);
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-4 mb-3 text-sm">
+        <div className="p-3 rounded-md bg-gray-50">
+          <p className="text-xs text-gray-500">Budget</p>
+          <p className="font-semibold">{report.budget === null ? 'Not set' : formatMoney(report.budget)}</p>
+        </div>
+        <div className="p-3 rounded-md bg-gray-50">
+          <p className="text-xs text-gray-500">Actual cost</p>
+          <p className="font-semibold">{formatMoney(report.actualCost)}</p>
+        </div>
+        <div className="p-3 rounded-md bg-gray-50">
+          <p className="text-xs text-gray-500">Remaining</p>
+          <p className={`font-semibold ${report.remaining !== null && report.remaining < 0 ? 'text-red-700' : ''}`}>
+            {report.remaining === null ? '–' : formatMoney(report.remaining)}
+          </p>
+        </div>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 border-b">
+            <th className="py-1">Step</th>
+            <th className="py-1 text-right">Est. time</th>
+            <th className="py-1 text-right">Actual time</th>
+            <th className="py-1 text-right">Est. cost</th>
+            <th className="py-1 text-right">Actual cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.rows.map(row => (
+            <tr key={row.step.id} className="border-b last:border-0">
+              <td className="py-1">{row.step.name}</td>
+              <td className="py-1 text-right">{formatHours(row.estimatedHours)}</td>
+              <td className={`py-1 text-right ${varianceColor(row.estimatedHours, row.actualHours)}`}>
+                {formatHours(row.actualHours)}
+              </td>
+              <td className="py-1 text-right">{formatMoney(row.estimatedCost)}</td>
+              <td className={`py-1 text-right ${varianceColor(row.estimatedCost, row.actualCost)}`}>
+                {formatMoney(row.actualCost)}
+              </td>
+            </tr>
+          ))}
+          <tr className="font-semibold">
+            <td className="py-1">Total</td>
+            <td className="py-1 text-right">{formatHours(report.estimatedHours)}</td>
+            <td className={`py-1 text-right ${varianceColor(report.estimatedHours, report.actualHours)}`}>
+              {formatHours(report.actualHours)}
+            </td>
+            <td className="py-1 text-right">{formatMoney(report.estimatedCost)}</td>
+            <td className={`py-1 text-right ${varianceColor(report.estimatedCost, report.actualCost)}`}>
+              {formatMoney(report.actualCost)}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      {report.missingRates && (
+        <p className="mt-2 text-xs text-amber-700 flex items-center space-x-1">
+          <AlertTriangle size={14} />
+          <span>Some estimates are incomplete: a step is unassigned or an assignee has no rate set in Settings.</span>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BudgetReport;
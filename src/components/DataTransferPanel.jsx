@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { Download, Upload, AlertTriangle, CalendarDays } from 'lucide-react';
+import { today } from '../lib/dates';
+import { downloadFile } from '../lib/download';
+import { getAllEvents, toICalendar, ICS_TYPE } from '../lib/ical';
+import {
+  toBackup,
+  projectsToCsv,
+  teamToCsv,
+  templatesToCsv,
+  parseImportFile,
+  planImport,
+  isImportable
+} from '../lib/importExport';
+
+const SECTIONS = [
+  { key: 'projects', label: 'Projects', describe: (project) => `${project.name || '(no name)'} · ${project.client || '(no client)'} · ${(project.steps || []).length} steps` },
+  { key: 'team_members', label: 'Team members', describe: (member) => member.name || '(no name)' },
+  { key: 'templates', label: 'Templates', describe: (template) => `${template.name || '(no name)'} · ${(template.steps || []).length} steps` }
+];
+
+const EntryStatus = ({ entry }) => {
+  if (entry.errors.length > 0) return <span className="text-red-600">Invalid, skipped</span>;
+  if (entry.duplicate) return <span className="text-gray-500">Already exists, skipped</span>;
+  return <span className="text-green-600">New</span>;
+};
+
+// Backups and spreadsheet exports, and importing either back with a preview
+const DataTransferPanel = ({ projects, teamMembers, templates, onImport }) => {
+  const [plan, setPlan] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [importError, setImportError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const backup = () => toBackup({ projects, teamMembers, templates });
+  const stamp = today();
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setResult(null);
+    setFileName(file.name);
+    try {
+      setPlan(planImport(parseImportFile(await file.text()), { projects, teamMembers, templates }));
+      setImportError(null);
+    } catch (err) {
+      setPlan(null);
+      setImportError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const importableCount = plan
+    ? SECTIONS.reduce((sum, { key }) => sum + plan[key].filter(isImportable).length, 0)
+    : 0;
+
+  const handleImport = async () => {
+    setImporting(true);
+    const imported = await onImport(plan);
+    setImporting(false);
+    if (imported) {
+      setPlan(null);
+      setResult(`Imported ${imported.projects} projects, ${imported.team_members} team members and ${imported.templates} templates.`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="font-semibold mb-1">Export</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          The JSON backup holds team members, workflow templates and projects with their steps. Comments, revision
+          rounds, assets, generation runs, time entries and the activity log are not exported. The CSV files open in a
+          spreadsheet, one file per kind of record.
+          Trashed projects are left out. The calendar has the due dates and deadlines of active projects; importing
+          a newer one updates the events rather than duplicating them.
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => downloadFile(`tracker-backup-${stamp}.json`, JSON.stringify(backup(), null, 2), 'application/json')}
+            className="bg-blue-500 text-white px-3 py-2 rounded-md hover:bg-blue-600 flex items-center space-x-2 text-sm"
+          >
+            <Download size={16} />
+            <span>Backup (JSON)</span>
+          </button>
+          {[
+            ['Projects CSV', `projects-${stamp}.csv`, projectsToCsv],
+            ['Team CSV', `team-${stamp}.csv`, teamToCsv],
+            ['Templates CSV', `templates-${stamp}.csv`, templatesToCsv]
+          ].map(([label, name, toCsv]) => (
+            <button
+              key={label}
+              onClick={() => downloadFile(name, toCsv(backup()), 'text/csv')}
+              className="border px-3 py-2 rounded-md hover:bg-gray-50 flex items-center space-x-2 text-sm"
+            >
+              <Download size={16} />
+              <span>{label}</span>
+            </button>
+          ))}
+          <button
+            onClick={() => downloadFile(
+              'production-schedule.ics',
+              toICalendar(getAllEvents(projects.filter(project => !project.archived_at), teamMembers), { name: 'Production schedule' }),
+              ICS_TYPE
+            )}
+            className="border px-3 py-2 rounded-md hover:bg-gray-50 flex items-center space-x-2 text-sm"
+            title="Every step due date and project deadline, for Google Calendar, Outlook or Apple Calendar"
+          >
+            <CalendarDays size={16} />
+            <span>Calendar (.ics)</span>
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-1">Import</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          Choose a JSON backup or one of the CSV files above. Projects that match an existing one by name and client,
+          and members or templates with an existing name, are skipped.
+        </p>
+        <label className="inline-flex items-center space-x-2 border px-3 py-2 rounded-md hover:bg-gray-50 cursor-pointer text-sm">
+          <Upload size={16} />
+          <span>Choose file</span>
+          <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} className="hidden" />
+        </label>
+
+        {importError && (
+          <p className="mt-3 text-sm text-red-600 flex items-center space-x-2">
+            <AlertTriangle size={16} className="shrink-0" />
+            <span>{importError}</span>
+          </p>
+        )}
+        {result && <p className="mt-3 text-sm text-green-700">{result}</p>}
+
+        {plan && (
+          <div className="mt-4 border rounded-md p-4 space-y-4">
+            <p className="text-sm font-medium">Preview of {fileName}</p>
+            {SECTIONS.filter(({ key }) => plan[key].length > 0).map(({ key, label, describe }) => (
+              <div key={key}>
+                <p className="text-sm text-gray-700 mb-1">{label} ({plan[key].length})</p>
+                <ul className="text-sm divide-y border rounded">
+                  {plan[key].map((entry, index) => (
+                    <li key={index} className="px-3 py-2">
+                      <div className="flex justify-between">
+                        <span>{describe(entry.item)}</span>
+                        <EntryStatus entry={entry} />
+                      </div>
+                      {entry.errors.map(message => (
+                        <p key={message} className="text-xs text-red-600">{message}</p>
+                      ))}
+                      {isImportable(entry) && entry.warnings.map(message => (
+                        <p key={message} className="text-xs text-amber-700">{message}</p>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+            <div className="flex justify-end space-x-2">
+              <button onClick={() => setPlan(null)} className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800">
+                Cancel
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={importableCount === 0 || importing}
+                className="bg-blue-500 text-white px-3 py-2 rounded-md hover:bg-blue-600 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {importing ? 'Importing…' : `Import ${importableCount} ${importableCount === 1 ? 'record' : 'records'}`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataTransferPanel;
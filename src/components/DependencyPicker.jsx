@@ -0,0 +1,53 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { createsCycle, getPrerequisiteIds } from '../lib/dependencies';
+
+// Edits which steps must finish before `step` can start. Steps that would
+// close a loop are offered but disabled, so cycles can't be picked.
+const DependencyPicker = ({ steps, step, onChange }) => {
+  const ids = getPrerequisiteIds(steps, step);
+  const candidates = steps.filter(other => other.id !== step.id && !ids.includes(other.id));
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 text-xs">
+      <span className="text-gray-600">After:</span>
+      {ids.length === 0 && <span className="text-gray-400">nothing (can start right away)</span>}
+      {ids.map(id => (
+        <span key={id} className="inline-flex items-center space-x-1 bg-indigo-50 text-indigo-800 rounded-full px-2 py-0.5">
+          <span>{steps.find(other => other.id === id).name}</span>
+          <button
+            onClick={() => onChange(ids.filter(other => other !== id))}
+            className="text-indigo-400 hover:text-indigo-700"
+          >
+            <X size={12} />
+          </button>
+        </span>
+      ))}
+      {!Array.isArray(step.depends_on) && ids.length > 0 && (
+        <span className="text-gray-400">(default: previous step)</span>
+      )}
+      {candidates.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => {
+            const prerequisite = candidates.find(other => String(other.id) === e.target.value);
+            if (prerequisite) onChange([...ids, prerequisite.id]);
+          }}
+          className="border rounded px-1 py-0.5"
+        >
+          <option value="">+ Add prerequisite</option>
+          {candidates.map(other => {
+            const cyclic = createsCycle(steps, step.id, [...ids, other.id]);
+            return (
+              <option key={other.id} value={other.id} disabled={cyclic}>
+                {other.name}{cyclic ? ' (would create a cycle)' : ''}
+              </option>
+            );
+          })}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default DependencyPicker;
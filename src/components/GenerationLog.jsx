@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { Sparkles, Plus, Copy, ExternalLink } from 'lucide-react';
+import { getGenerations, filterGenerations, getStepCredits, formatCredits } from '../lib/generations';
+import { isLink } from '../lib/assets';
+
+const emptyRun = {
+  model: '',
+  prompt: '',
+  negativePrompt: '',
+  seed: '',
+  settings: '',
+  durationSeconds: '',
+  credits: '',
+  outputs: ''
+};
+
+// Copies an earlier run into the form so it can be tweaked and logged again
+const toForm = (run) => ({
+  model: run.model || '',
+  prompt: run.prompt || '',
+  negativePrompt: run.negative_prompt || '',
+  seed: run.seed ?? '',
+  settings: run.settings || '',
+  durationSeconds: run.duration_seconds ?? '',
+  credits: '',
+  outputs: ''
+});
+
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+// Generation runs of one step with a form for logging new ones
+const GenerationLog = ({ step, onAddRun }) => {
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [query, setQuery] = useState('');
+  const runs = getGenerations(step);
+  const visibleRuns = filterGenerations(runs, query);
+  const credits = getStepCredits(step);
+
+  const handleSave = () => {
+    if (!form.model.trim() || !form.prompt.trim()) {
+      setFormError('The tool or model and the prompt are required.');
+      return;
+    }
+    onAddRun(step, {
+      model: form.model.trim(),
+      prompt: form.prompt.trim(),
+      negative_prompt: form.negativePrompt.trim(),
+      seed: form.seed === '' ? null : String(form.seed).trim(),
+      settings: form.settings.trim(),
+      duration_seconds: toNumber(form.durationSeconds),
+      credits: toNumber(form.credits) ?? 0,
+      output_urls: form.outputs.split('\n').map(url => url.trim()).filter(Boolean)
+    });
+    setForm(null);
+    setFormError(null);
+  };
+
+  const field = (key, placeholder, props = {}) => (
+    <input
+      type="text"
+      value={form[key]}
+      onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+      placeholder={placeholder}
+      className="border rounded px-2 py-1 text-xs"
+      {...props}
+    />
+  );
+
+  return (
+    <div className="mt-3 pt-3 border-t space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-gray-600 flex items-center space-x-1">
+          <Sparkles size={14} />
+          <span>Generation log</span>
+          {runs.length > 0 && <span className="text-gray-400">· {runs.length} run{runs.length === 1 ? '' : 's'} · {formatCredits(credits)}</span>}
+        </span>
+        <div className="flex items-center space-x-2">
+          {runs.length > 1 && (
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Filter by model, prompt or seed..."
+              className="border rounded px-2 py-0.5 text-xs w-52"
+            />
+          )}
+          {!form && (
+            <button
+              onClick={() => setForm(emptyRun)}
+              className="text-xs text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+            >
+              <Plus size={12} />
+              <span>Log generation</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {form && (
+        <div className="bg-gray-50 rounded-md p-2 space-y-2">
+          {formError && <p className="text-xs text-red-700">{formError}</p>}
+          <div className="grid grid-cols-2 gap-2">
+            {field('model', 'Tool or model, e.g. Runway Gen-3')}
+            {field('seed', 'Seed')}
+          </div>
+          <textarea
+            value={form.prompt}
+            onChange={(e) => setForm({ ...form, prompt: e.target.value })}
+            placeholder="Prompt"
+            rows="2"
+            className="w-full border rounded px-2 py-1 text-xs"
+          />
+          <textarea
+            value={form.negativePrompt}
+            onChange={(e) => setForm({ ...form, negativePrompt: e.target.value })}
+            placeholder="Negative prompt"
+            rows="1"
+            className="w-full border rounded px-2 py-1 text-xs"
+          />
+          <div className="grid grid-cols-3 gap-2">
+            {field('settings', 'Settings, e.g. 16:9, 24fps, cfg 7')}
+            {field('durationSeconds', 'Duration (s)', { type: 'number', min: '0' })}
+            {field('credits', 'Credits / cost', { type: 'number', min: '0', step: 'any' })}
+          </div>
+          <textarea
+            value={form.outputs}
+            onChange={(e) => setForm({ ...form, outputs: e.target.value })}
+            placeholder="Output links, one per line"
+            rows="2"
+            className="w-full border rounded px-2 py-1 text-xs"
+          />
+          <div className="flex space-x-2">
+            <button
+              onClick={handleSave}
+              className="text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+            >
+              Save run
+            </button>
+            <button
+              onClick={() => { setForm(null); setFormError(null); }}
+              className="text-xs bg-gray-300 text-gray-700 px-3 py-1 rounded hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {runs.length > 0 && visibleRuns.length === 0 && (
+        <p className="text-xs text-gray-400">No runs match "{query}"</p>
+      )}
+
+      {visibleRuns.map(run => (
+        <div key={run.id} className="bg-gray-50 rounded-md p-2 text-xs space-y-1">
+          <div className="flex items-center justify-between">
+            <span>
+              <span className="font-medium text-gray-800">{run.model}</span>
+              <span className="text-gray-400">
+                {' · '}{new Date(run.created_at).toLocaleString()}
+                {run.seed != null && run.seed !== '' && <> · seed {run.seed}</>}
+                {run.duration_seconds != null && <> · {run.duration_seconds}s</>}
+                {' · '}{formatCredits(Number(run.credits) || 0)}
+              </span>
+            </span>
+            <button
+              onClick={() => setForm(toForm(run))}
+              className="text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+              title="Start a new run from this prompt and settings"
+            >
+              <Copy size={12} />
+              <span>Reuse</span>
+            </button>
+          </div>
+          <p className="text-gray-700 whitespace-pre-line">{run.prompt}</p>
+          {run.negative_prompt && <p className="text-gray-500">Negative: {run.negative_prompt}</p>}
+          {run.settings && <p className="text-gray-500">Settings: {run.settings}</p>}
+          {(run.output_urls || []).length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {run.output_urls.map((url, index) => (isLink(url) ? (
+                <a
+                  key={index}
+                  href={url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:text-blue-800 inline-flex items-center space-x-1"
+                >
+                  <span>Output {index + 1}</span>
+                  <ExternalLink size={12} />
+                </a>
+              ) : (
+                <span key={index} className="font-mono text-gray-600">{url}</span>
+              )))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default GenerationLog;
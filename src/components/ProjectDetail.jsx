@@ -0,0 +1,418 @@
+import React, { useState } from 'react';
+import { CheckCircle, Circle, Edit3, X, AlertTriangle, RefreshCw, Coins, CalendarDays, GripVertical, Trash2, Plus } from 'lucide-react';
+import AssigneePicker from './AssigneePicker';
+import DependencyPicker from './DependencyPicker';
+import TimeEntries from './TimeEntries';
+import GenerationLog from './GenerationLog';
+import StepAssets from './StepAssets';
+import StepDiscussion from './StepDiscussion';
+import SharePanel from './SharePanel';
+import BudgetReport from './BudgetReport';
+import ActivityFeed from './ActivityFeed';
+import { replanProject, getScheduleOverrun } from '../lib/schedule';
+import { arePrerequisitesComplete, getPrerequisites } from '../lib/dependencies';
+import { HEALTH_STATUSES, getProjectHealth } from '../lib/health';
+import { getProjectCredits, formatCredits } from '../lib/generations';
+import { createShareToken } from '../lib/share';
+import { downloadFile } from '../lib/download';
+import { getProjectEvents, toICalendar, icsFileName, ICS_TYPE } from '../lib/ical';
+import { moveStep } from '../lib/templateSync';
+
+// Step name that turns into an input when clicked; commits on blur or Enter.
+// Read-only without onSave.
+const StepNameInput = ({ step, onSave }) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    const name = draft.trim();
+    setDraft(null);
+    if (name && name !== step.name) onSave(step.id, name);
+  };
+
+  if (draft === null) {
+    return (
+      <span
+        onClick={onSave ? () => setDraft(step.name) : undefined}
+        className={`font-medium ${onSave ? 'cursor-text' : ''} ${step.status === 'completed' ? 'line-through text-gray-500' : ''}`}
+        title={onSave ? 'Click to rename for this project' : undefined}
+      >
+        {step.name}
+      </span>
+    );
+  }
+
+  return (
+    <input
+      type="text"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.target.blur();
+        if (e.key === 'Escape') setDraft(null);
+      }}
+      className="font-medium border rounded px-2 py-0.5"
+      autoFocus
+    />
+  );
+};
+
+const AddStepForm = ({ onAdd }) => {
+  const [name, setName] = useState('');
+  const [days, setDays] = useState(1);
+
+  const handleAdd = async () => {
+    if (!name.trim()) return;
+    await onAdd({ name: name.trim(), estimated_days: days });
+    setName('');
+    setDays(1);
+  };
+
+  return (
+    <div className="flex space-x-2">
+      <input
+        type="text"
+        placeholder="New step for this project, e.g. Client re-edit"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+        className="flex-1 border rounded px-2 py-1 text-sm"
+      />
+      <input
+        type="number"
+        min="1"
+        value={days}
+        onChange={(e) => setDays(parseInt(e.target.value) || 1)}
+        className="w-20 border rounded px-2 py-1 text-sm"
+        title="Estimated days"
+      />
+      <button
+        onClick={handleAdd}
+        className="text-sm text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+      >
+        <Plus size={16} />
+        <span>Add step</span>
+      </button>
+    </div>
+  );
+};
+
+// Full view of one project: its steps with everything attached to them,
+// the share link, budget report and activity. Lives outside App so the
+// step widgets keep their state (drafts, open forms) across App renders.
+// canManage allows changing the project itself (details, schedule, steps,
+// share link); canEditStep(step, fields) whether the step, or those fields of
+// it, can be changed.
+// currentMemberId is the team member comments are posted as.
+const ProjectDetail = ({
+  project,
+  teamMembers,
+  currentMemberId = null,
+  activity,
+  clientCredits,
+  onClose,
+  onEdit,
+  onUpdateStep,
+  onUpdateSteps,
+  onAddTimeEntry,
+  onRemoveTimeEntry,
+  onAddGenerationRun,
+  onAddAsset,
+  onSetCurrentAsset,
+  onApproveAsset,
+  onAddComment,
+  onStartRound,
+  onDecideRound,
+  onSetShareToken,
+  onRevokeShareLink,
+  onAddStep,
+  onRemoveStep,
+  onRenameStep,
+  onReorderSteps,
+  canManage = true,
+  canEditStep = () => true
+}) => {
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const overrun = getScheduleOverrun(project);
+  const health = getProjectHealth(project);
+  const credits = getProjectCredits(project);
+
+  const handleStepUpdate = async (stepId, field, value) => {
+    await onUpdateStep(project, stepId, { [field]: value });
+  };
+
+  const handleReplan = async () => {
+    await onUpdateSteps(project.id, replanProject(project));
+  };
+
+  // Dropping a step on another puts it in that step's place
+  const handleDropStep = async (e, target) => {
+    e.preventDefault();
+    setDropTargetId(null);
+    const moved = project.project_steps.find(step => String(step.id) === e.dataTransfer.getData('text/plain'));
+    if (moved && moved.id !== target.id) {
+      await onReorderSteps(project, moveStep(project.project_steps, moved.id, target.id));
+    }
+  };
+
+  const handleExportCalendar = () => {
+    const calendar = toICalendar(getProjectEvents(project, teamMembers), { name: project.name });
+    downloadFile(icsFileName(project.name), calendar, ICS_TYPE);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <div className="flex items-center space-x-3">
+              <h2 className="text-2xl font-bold">{project.name}</h2>
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${HEALTH_STATUSES[health.status].className}`}>
+                {HEALTH_STATUSES[health.status].label.toUpperCase()}
+              </span>
+            </div>
+            <p className="text-gray-600">Client: {project.client}</p>
+            <p className="text-sm text-gray-500">
+              {new Date(project.start_date).toLocaleDateString()} – {new Date(project.end_date).toLocaleDateString()}
+              <span className="capitalize"> · {project.priority} priority</span>
+            </p>
+            {credits > 0 && (
+              <p className="text-sm text-gray-500 flex items-center space-x-1">
+                <Coins size={14} />
+                <span>
+                  {formatCredits(credits)} on AI generation
+                  · {formatCredits(clientCredits)} across all {project.client} projects
+                </span>
+              </p>
+            )}
+            {project.description && (
+              <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">{project.description}</p>
+            )}
+          </div>
+          <div className="flex items-center space-x-3">
+            {canManage && (
+              <>
+                <button
+                  onClick={() => onEdit(project)}
+                  className="text-sm text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+                >
+                  <Edit3 size={16} />
+                  <span>Edit details</span>
+                </button>
+                <button
+                  onClick={handleReplan}
+                  className="text-sm text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+                  title="Schedule unfinished steps from the project start"
+                >
+                  <RefreshCw size={16} />
+                  <span>Auto-schedule</span>
+                </button>
+              </>
+            )}
+            <button
+              onClick={handleExportCalendar}
+              className="text-sm text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+              title="Step due dates and the deadline as an .ics file"
+            >
+              <CalendarDays size={16} />
+              <span>Calendar</span>
+            </button>
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <X size={24} />
+            </button>
+          </div>
+        </div>
+
+        {health.reasons.length > 0 && (
+          <ul className="mb-4 p-3 rounded-md bg-gray-50 text-sm text-gray-700 list-disc list-inside">
+            {health.reasons.map(reason => <li key={reason}>{reason}</li>)}
+          </ul>
+        )}
+
+        {overrun > 0 && (
+          <div className="mb-4 p-3 rounded-md bg-amber-50 text-amber-800 text-sm flex items-center space-x-2">
+            <AlertTriangle size={16} />
+            <span>
+              The schedule runs {overrun} day{overrun === 1 ? '' : 's'} past the target end date
+              ({new Date(project.end_date).toLocaleDateString()}).
+            </span>
+          </div>
+        )}
+        
+        <div className="space-y-4">
+          {project.project_steps?.map((step) => (
+            <div
+              key={step.id}
+              {...(canManage && {
+                onDragOver: (e) => {
+                  e.preventDefault();
+                  setDropTargetId(step.id);
+                },
+                onDragLeave: () => setDropTargetId(null),
+                onDrop: (e) => handleDropStep(e, step)
+              })}
+              className={`border rounded-lg p-4 ${dropTargetId === step.id ? 'ring-2 ring-blue-400' : ''}`}
+            >
+              {/* A disabled fieldset turns off every control of a step the user may not edit */}
+              <fieldset disabled={!canEditStep(step)} className="min-w-0">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="flex items-center space-x-3">
+                    {canManage && (
+                      <span
+                        draggable
+                        onDragStart={(e) => e.dataTransfer.setData('text/plain', String(step.id))}
+                        onDragEnd={() => setDropTargetId(null)}
+                        className="cursor-move text-gray-400 hover:text-gray-600"
+                        title="Drag to reorder"
+                      >
+                        <GripVertical size={16} />
+                      </span>
+                    )}
+                    <button
+                      onClick={() => handleStepUpdate(step.id, 'status', 
+                        step.status === 'completed' ? 'pending' : 'completed'
+                      )}
+                      className={`${step.status === 'completed' ? 'text-green-500' : 'text-gray-400'}`}
+                    >
+                      {step.status === 'completed' ? <CheckCircle size={20} /> : <Circle size={20} />}
+                    </button>
+                    <StepNameInput
+                      step={step}
+                      onSave={canEditStep(step) ? (stepId, name) => onRenameStep(project, stepId, name) : null}
+                    />
+                    {step.status === 'pending' && !arePrerequisitesComplete(project.project_steps, step) && (
+                      <span className="text-xs text-gray-500 bg-gray-100 rounded-full px-2 py-0.5">
+                        Waiting on {getPrerequisites(project.project_steps, step)
+                          .filter(prerequisite => prerequisite.status !== 'completed')
+                          .map(prerequisite => prerequisite.name)
+                          .join(', ')}
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={step.status}
+                      onChange={(e) => handleStepUpdate(step.id, 'status', e.target.value)}
+                      className="text-xs border rounded px-2 py-1"
+                    >
+                      <option value="pending">Pending</option>
+                      <option value="in-progress">In Progress</option>
+                      <option value="completed">Completed</option>
+                      <option value="blocked">Blocked</option>
+                    </select>
+                    {canManage && (
+                      <button
+                        onClick={() => onRemoveStep(project, step)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Remove this step from the project"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+                
+                <div className="grid grid-cols-3 gap-4 text-sm">
+                  <fieldset disabled={!canEditStep(step, ['assignee_ids'])} className="min-w-0">
+                    <label className="block text-gray-600 text-xs">Assignees</label>
+                    <AssigneePicker
+                      step={step}
+                      teamMembers={teamMembers}
+                      onChange={(ids) => handleStepUpdate(step.id, 'assignee_ids', ids)}
+                    />
+                  </fieldset>
+                  <div>
+                    <label className="block text-gray-600 text-xs">Due Date</label>
+                    <input
+                      type="date"
+                      value={step.due_date || ''}
+                      onChange={(e) => handleStepUpdate(step.id, 'due_date', e.target.value || null)}
+                      className="w-full border rounded px-2 py-1"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-gray-600 text-xs">Est. Days</label>
+                    <input
+                      type="number"
+                      value={step.estimated_days || 1}
+                      onChange={(e) => {
+                        // Half-typed or cleared values aren't saved
+                        const days = parseInt(e.target.value, 10);
+                        if (days >= 1) handleStepUpdate(step.id, 'estimated_days', days);
+                      }}
+                      className="w-full border rounded px-2 py-1"
+                      min="1"
+                    />
+                  </div>
+                </div>
+
+                <div className="mt-3">
+                  <DependencyPicker
+                    steps={project.project_steps}
+                    step={step}
+                    onChange={(ids) => handleStepUpdate(step.id, 'depends_on', ids)}
+                  />
+                </div>
+
+                <TimeEntries
+                  step={step}
+                  teamMembers={teamMembers}
+                  onAddEntry={onAddTimeEntry}
+                  onRemoveEntry={onRemoveTimeEntry}
+                />
+
+                <GenerationLog step={step} onAddRun={onAddGenerationRun} />
+
+                <StepAssets
+                  step={step}
+                  teamMembers={teamMembers}
+                  onAddAsset={onAddAsset}
+                  onSetCurrent={onSetCurrentAsset}
+                  onApprove={onApproveAsset}
+                />
+
+                <StepDiscussion
+                  step={step}
+                  teamMembers={teamMembers}
+                  memberId={currentMemberId}
+                  onAddComment={onAddComment}
+                  onStartRound={onStartRound}
+                  onDecideRound={onDecideRound}
+                />
+              </fieldset>
+            </div>
+          ))}
+          {project.project_steps?.length === 0 && (
+            <p className="text-center text-gray-500 py-4">This project has no steps yet</p>
+          )}
+          {canManage && <AddStepForm onAdd={(step) => onAddStep(project, step)} />}
+        </div>
+
+        {canManage && (
+          <div className="mt-6">
+            <h3 className="text-lg font-semibold mb-3">Client Share Link</h3>
+            <SharePanel
+              project={project}
+              onEnable={(p) => onSetShareToken(p, createShareToken())}
+              onRegenerate={(p) => onSetShareToken(p, createShareToken())}
+              onRevoke={onRevokeShareLink}
+              onRenameStep={(stepId, clientName) => handleStepUpdate(stepId, 'client_name', clientName)}
+            />
+          </div>
+        )}
+
+        <div className="mt-6">
+          <h3 className="text-lg font-semibold mb-3">Budget vs Actual</h3>
+          <BudgetReport project={project} teamMembers={teamMembers} />
+        </div>
+
+        <div className="mt-6">
+          <h3 className="text-lg font-semibold mb-3">Activity</h3>
+          <ActivityFeed entries={activity} teamMembers={teamMembers} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectDetail;
@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+
+// Form for creating a project from a workflow template, also used to edit an
+// existing project's details. Lives outside App so typing isn't lost when
+// App re-renders (live sync, save status).
+const ProjectForm = ({ project = null, templates, onCreate, onUpdate, onClose }) => {
+  const isEditing = Boolean(project);
+  const [formData, setFormData] = useState(isEditing ? {
+    name: project.name,
+    client: project.client,
+    startDate: project.start_date || '',
+    endDate: project.end_date || '',
+    priority: project.priority || 'medium',
+    description: project.description || '',
+    skipWeekends: project.skip_weekends !== false,
+    budget: project.budget ?? ''
+  } : {
+    name: '',
+    client: '',
+    startDate: '',
+    endDate: '',
+    priority: 'medium',
+    description: '',
+    templateId: templates[0]?.id ?? '',
+    skipWeekends: true,
+    budget: ''
+  });
+  const [replan, setReplan] = useState(true);
+  const [formError, setFormError] = useState(null);
+  const selectedTemplate = templates.find(t => t.id === formData.templateId);
+  const scheduleChanged = isEditing &&
+    (formData.startDate !== project.start_date || formData.skipWeekends !== (project.skip_weekends !== false));
+
+  const handleSubmit = () => {
+    if (!formData.name.trim() || !formData.client.trim() || !formData.startDate || !formData.endDate) {
+      setFormError('Project name, client and both dates are required.');
+    } else if (formData.endDate < formData.startDate) {
+      setFormError('The end date must be on or after the start date.');
+    } else if (formData.budget !== '' && !(Number(formData.budget) >= 0)) {
+      setFormError('The budget must be a positive amount.');
+    } else if (isEditing) {
+      onUpdate(project, formData, { replan: scheduleChanged && replan });
+    } else if (!selectedTemplate) {
+      setFormError('Choose a workflow template.');
+    } else {
+      onCreate(formData);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <h2 className="text-xl font-bold mb-4">{isEditing ? 'Edit Project' : 'Create New Video Project'}</h2>
+        {formError && (
+          <p className="mb-4 p-2 rounded-md bg-red-50 text-red-700 text-sm">{formError}</p>
+        )}
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">Project Name</label>
+            <input
+              type="text"
+              required
+              value={formData.name}
+              onChange={(e) => setFormData({...formData, name: e.target.value})}
+              className="w-full p-2 border rounded-md"
+              placeholder="e.g., Product Demo Video"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Client Name</label>
+            <input
+              type="text"
+              required
+              value={formData.client}
+              onChange={(e) => setFormData({...formData, client: e.target.value})}
+              className="w-full p-2 border rounded-md"
+              placeholder="Client company name"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Start Date</label>
+              <input
+                type="date"
+                required
+                value={formData.startDate}
+                onChange={(e) => setFormData({...formData, startDate: e.target.value})}
+                className="w-full p-2 border rounded-md"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Target End Date</label>
+              <input
+                type="date"
+                required
+                value={formData.endDate}
+                onChange={(e) => setFormData({...formData, endDate: e.target.value})}
+                className="w-full p-2 border rounded-md"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Priority</label>
+              <select
+                value={formData.priority}
+                onChange={(e) => setFormData({...formData, priority: e.target.value})}
+                className="w-full p-2 border rounded-md"
+              >
+                <option value="low">Low</option>
+                <option value="medium">Medium</option>
+                <option value="high">High</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Budget (USD)</label>
+              <input
+                type="number"
+                min="0"
+                value={formData.budget}
+                onChange={(e) => setFormData({...formData, budget: e.target.value})}
+                className="w-full p-2 border rounded-md"
+                placeholder="Optional"
+              />
+            </div>
+          </div>
+          {!isEditing && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Workflow Template</label>
+              <select
+                value={formData.templateId}
+                onChange={(e) => setFormData({...formData, templateId: e.target.value})}
+                className="w-full p-2 border rounded-md"
+              >
+                {templates.map(template => (
+                  <option key={template.id} value={template.id}>{template.name}</option>
+                ))}
+              </select>
+              {selectedTemplate && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {selectedTemplate.steps.length > 0
+                    ? selectedTemplate.steps.map(step => step.name).join(' → ')
+                    : 'This template has no steps'}
+                </p>
+              )}
+            </div>
+          )}
+          <label className="flex items-center space-x-2 text-sm">
+            <input
+              type="checkbox"
+              checked={formData.skipWeekends}
+              onChange={(e) => setFormData({...formData, skipWeekends: e.target.checked})}
+            />
+            <span>Skip weekends when scheduling due dates</span>
+          </label>
+          {scheduleChanged && (
+            <label className="flex items-center space-x-2 text-sm">
+              <input
+                type="checkbox"
+                checked={replan}
+                onChange={(e) => setReplan(e.target.checked)}
+              />
+              <span>Re-plan unfinished steps' due dates for the new schedule</span>
+            </label>
+          )}
+          <div>
+            <label className="block text-sm font-medium mb-1">Description</label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => setFormData({...formData, description: e.target.value})}
+              className="w-full p-2 border rounded-md"
+              rows="3"
+              placeholder="Brief project description..."
+            />
+          </div>
+          <div className="flex space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={handleSubmit}
+              className="flex-1 bg-blue-500 text-white py-2 px-4 rounded-md hover:bg-blue-600"
+            >
+              {isEditing ? 'Save Changes' : 'Create Project'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectForm;
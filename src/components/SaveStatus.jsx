@@ -0,0 +1,56 @@
+import React from 'react';
+import { Loader2, Check, CloudOff, AlertTriangle } from 'lucide-react';
+
+// Header indicator for the save queue: saving, saved, failed with a retry,
+// or rejected by the store with the option to discard the changes
+const SaveStatus = ({ status, onRetry, onDiscard }) => {
+  if (status.state === 'rejected') {
+    return (
+      <span className="flex items-center space-x-2 text-sm text-red-700" title={status.error}>
+        <AlertTriangle size={16} />
+        <span>
+          {status.rejected.length} {status.rejected.length === 1 ? 'change' : 'changes'} could not be saved: {status.error}
+        </span>
+        <button onClick={onDiscard} className="text-blue-600 hover:text-blue-800 font-medium">
+          Discard
+        </button>
+      </span>
+    );
+  }
+
+  if (status.state === 'saving') {
+    return (
+      <span className="flex items-center space-x-1 text-sm text-gray-500">
+        <Loader2 size={16} className="animate-spin" />
+        <span>Saving…</span>
+      </span>
+    );
+  }
+
+  if (status.state === 'saved') {
+    return (
+      <span className="flex items-center space-x-1 text-sm text-gray-500">
+        <Check size={16} className="text-green-500" />
+        <span>All changes saved</span>
+      </span>
+    );
+  }
+
+  if (status.state === 'failed') {
+    return (
+      <span className="flex items-center space-x-2 text-sm text-amber-700" title={status.error}>
+        <CloudOff size={16} />
+        <span>
+          {status.pending} unsaved {status.pending === 1 ? 'change' : 'changes'}, retrying
+        </span>
+        <button onClick={onRetry} className="text-blue-600 hover:text-blue-800 font-medium">
+          Retry now
+        </button>
+      </span>
+    );
+  }
+
+  return null;
+};
+
+export default SaveStatus;
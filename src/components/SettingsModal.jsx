@@ -0,0 +1,531 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Copy, Edit3, GripVertical, Plus, RefreshCw, Trash2, UserPlus, X } from 'lucide-react';
+import { getOpenStepsForMember } from '../lib/team';
+import { RATE_UNITS } from '../lib/budget';
+import DependencyPicker from './DependencyPicker';
+import DataTransferPanel from './DataTransferPanel';
+import TemplateSyncPanel from './TemplateSyncPanel';
+import UserManagement from './UserManagement';
+import { moveStep, getInFlightProjects, diffProjectWithTemplate, hasTemplateChanges } from '../lib/templateSync';
+import { can, SETTINGS_TAB_PERMISSIONS } from '../lib/permissions';
+
+// Only the tabs the signed-in user's role allows are shown
+const TABS = [
+  { id: 'team', label: 'Team Members' },
+  { id: 'workflow', label: 'Workflow Templates' },
+  { id: 'data', label: 'Import / Export' },
+  { id: 'users', label: 'Users' }
+];
+
+// Commits on blur, like the capacity input in the workload view
+const RateInput = ({ member, onSave }) => {
+  const rate = member.rate ?? null;
+  const [draft, setDraft] = useState(rate === null ? '' : String(rate));
+
+  const commit = () => {
+    const value = draft.trim() === '' ? null : parseFloat(draft);
+    if (value !== null && (Number.isNaN(value) || value < 0)) {
+      setDraft(rate === null ? '' : String(rate));
+    } else if (value !== rate) {
+      onSave(member.id, { rate: value });
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-1 text-sm">
+      <span className="text-gray-500">$</span>
+      <input
+        type="number"
+        min="0"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyPress={(e) => e.key === 'Enter' && e.target.blur()}
+        placeholder="Rate"
+        className="w-20 p-1 border rounded"
+      />
+      <select
+        value={member.rate_unit || 'hour'}
+        onChange={(e) => onSave(member.id, { rate_unit: e.target.value })}
+        className="p-1 border rounded"
+      >
+        {Object.entries(RATE_UNITS).map(([unit, label]) => (
+          <option key={unit} value={unit}>{label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+const SettingsModal = ({
+  currentUser,
+  appUsers,
+  teamMembers,
+  templates,
+  projects,
+  onClose,
+  onAddMember,
+  onUpdateMember,
+  onRemoveMember,
+  onCreateTemplate,
+  onDuplicateTemplate,
+  onRenameTemplate,
+  onRemoveTemplate,
+  onAddStep,
+  onUpdateStep,
+  onRemoveStep,
+  onReorderSteps,
+  onApplyTemplate,
+  onImport,
+  onUpdateUser
+}) => {
+  const tabs = TABS.filter(({ id }) => can(currentUser, SETTINGS_TAB_PERMISSIONS[id]));
+  const [activeTab, setActiveTab] = useState(tabs[0]?.id);
+  const [newMemberName, setNewMemberName] = useState('');
+  const [newStepName, setNewStepName] = useState('');
+  const [newStepDays, setNewStepDays] = useState(1);
+  const [editingStep, setEditingStep] = useState(null);
+  const [selectedTemplateId, setSelectedTemplateId] = useState(templates[0]?.id ?? null);
+  const [newTemplateName, setNewTemplateName] = useState('');
+  const [templateNameDraft, setTemplateNameDraft] = useState(null);
+  const [editingMember, setEditingMember] = useState(null);
+  const [memberNameDraft, setMemberNameDraft] = useState('');
+  const [removal, setRemoval] = useState(null);
+  const [draggedStepId, setDraggedStepId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [showSync, setShowSync] = useState(false);
+
+  // Fall back to the first template if the selected one was removed
+  const selectedTemplate = templates.find(t => t.id === selectedTemplateId) || templates[0];
+
+  const handleAddMember = async () => {
+    if (newMemberName.trim()) {
+      await onAddMember(newMemberName);
+      setNewMemberName('');
+    }
+  };
+
+  const handleRenameMember = async (member) => {
+    const name = memberNameDraft.trim();
+    setEditingMember(null);
+    if (name && name !== member.name) {
+      await onUpdateMember(member.id, { name });
+    }
+  };
+
+  // Members with open steps need somewhere for that work to go first
+  const handleRemoveMember = async (member) => {
+    const openSteps = getOpenStepsForMember(projects, member.id);
+    if (openSteps.length === 0) {
+      await onRemoveMember(member.id);
+    } else {
+      setRemoval({ member, openSteps, replacementId: '' });
+    }
+  };
+
+  const handleConfirmRemoval = async () => {
+    const replacement = teamMembers.find(m => String(m.id) === removal.replacementId);
+    setRemoval(null);
+    await onRemoveMember(removal.member.id, replacement?.id ?? null);
+  };
+
+  const handleAddStep = async () => {
+    if (newStepName.trim() && selectedTemplate) {
+      await onAddStep(selectedTemplate, newStepName, newStepDays);
+      setNewStepName('');
+      setNewStepDays(1);
+    }
+  };
+
+  // Dropping a step on another puts it in that step's place
+  const handleDropStep = async (e, target) => {
+    e.preventDefault();
+    setDraggedStepId(null);
+    setDropTargetId(null);
+    const moved = selectedTemplate.steps.find(step => String(step.id) === e.dataTransfer.getData('text/plain'));
+    if (moved && moved.id !== target.id) {
+      await onReorderSteps(selectedTemplate, moveStep(selectedTemplate.steps, moved.id, target.id));
+    }
+  };
+
+  const outdatedProjects = selectedTemplate
+    ? getInFlightProjects(projects, selectedTemplate)
+      .filter(project => hasTemplateChanges(diffProjectWithTemplate(project, selectedTemplate)))
+    : [];
+
+  const handleUpdateStep = async (id, field, value) => {
+    await onUpdateStep(id, { [field]: value });
+  };
+
+  const handleCreateTemplate = async () => {
+    if (newTemplateName.trim()) {
+      const created = await onCreateTemplate(newTemplateName);
+      if (created) setSelectedTemplateId(created.id);
+      setNewTemplateName('');
+    }
+  };
+
+  const handleDuplicateTemplate = async () => {
+    const created = await onDuplicateTemplate(selectedTemplate);
+    if (created) setSelectedTemplateId(created.id);
+  };
+
+  const handleRenameTemplate = async () => {
+    const name = templateNameDraft?.trim();
+    setTemplateNameDraft(null);
+    if (name && name !== selectedTemplate.name) {
+      await onRenameTemplate(selectedTemplate.id, name);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold">Settings</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex space-x-4 mb-6 border-b">
+          {tabs.map(({ id, label }) => (
+            <button
+              key={id}
+              className={`pb-2 px-1 ${activeTab === id ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}`}
+              onClick={() => setActiveTab(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* Team Members Tab */}
+        {activeTab === 'team' && (
+          <div>
+            <div className="mb-4 flex space-x-2">
+              <input
+                type="text"
+                placeholder="Enter team member name"
+                value={newMemberName}
+                onChange={(e) => setNewMemberName(e.target.value)}
+                className="flex-1 p-2 border rounded-md"
+                onKeyPress={(e) => e.key === 'Enter' && handleAddMember()}
+              />
+              <button
+                onClick={handleAddMember}
+                className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 flex items-center space-x-2"
+              >
+                <UserPlus size={16} />
+                <span>Add</span>
+              </button>
+            </div>
+
+            {removal && (
+              <div className="mb-4 p-4 rounded-md bg-amber-50 border border-amber-200 text-sm">
+                <div className="flex items-center space-x-2 text-amber-800 font-medium mb-2">
+                  <AlertTriangle size={16} />
+                  <span>
+                    {removal.member.name} still has {removal.openSteps.length} open
+                    step{removal.openSteps.length === 1 ? '' : 's'}
+                  </span>
+                </div>
+                <ul className="mb-3 text-amber-900 list-disc list-inside">
+                  {removal.openSteps.map(({ project, step }) => (
+                    <li key={step.id}>{project.name}: {step.name}</li>
+                  ))}
+                </ul>
+                <div className="flex items-center space-x-2">
+                  <span>Reassign to</span>
+                  <select
+                    value={removal.replacementId}
+                    onChange={(e) => setRemoval({ ...removal, replacementId: e.target.value })}
+                    className="flex-1 p-1 border rounded bg-white"
+                  >
+                    <option value="">Nobody (leave unassigned)</option>
+                    {teamMembers.filter(m => m.id !== removal.member.id).map(m => (
+                      <option key={m.id} value={m.id}>{m.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleConfirmRemoval}
+                    className="bg-red-500 text-white px-3 py-1 rounded-md hover:bg-red-600"
+                  >
+                    Remove
+                  </button>
+                  <button
+                    onClick={() => setRemoval(null)}
+                    className="bg-gray-300 text-gray-700 px-3 py-1 rounded-md hover:bg-gray-400"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              {teamMembers.map(member => (
+                <div key={member.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-md">
+                  {editingMember === member.id ? (
+                    <input
+                      type="text"
+                      value={memberNameDraft}
+                      onChange={(e) => setMemberNameDraft(e.target.value)}
+                      onBlur={() => handleRenameMember(member)}
+                      onKeyPress={(e) => e.key === 'Enter' && handleRenameMember(member)}
+                      className="flex-1 mr-3 p-1 border rounded"
+                      autoFocus
+                    />
+                  ) : (
+                    <span
+                      className="font-medium cursor-pointer"
+                      onClick={() => {
+                        setEditingMember(member.id);
+                        setMemberNameDraft(member.name);
+                      }}
+                    >
+                      {member.name}
+                    </span>
+                  )}
+                  <div className="flex items-center space-x-3">
+                    <RateInput key={member.rate ?? ''} member={member} onSave={onUpdateMember} />
+                    <button
+                      onClick={() => handleRemoveMember(member)}
+                      className="text-red-500 hover:text-red-700"
+                    >
+                      <X size={16} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Workflow Templates Tab */}
+        {activeTab === 'workflow' && (
+          <div>
+            <div className="mb-4 flex space-x-2">
+              <input
+                type="text"
+                placeholder="New template name, e.g. 30s Social Spot"
+                value={newTemplateName}
+                onChange={(e) => setNewTemplateName(e.target.value)}
+                className="flex-1 p-2 border rounded-md"
+                onKeyPress={(e) => e.key === 'Enter' && handleCreateTemplate()}
+              />
+              <button
+                onClick={handleCreateTemplate}
+                className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 flex items-center space-x-2"
+              >
+                <Plus size={16} />
+                <span>New Template</span>
+              </button>
+            </div>
+
+            {selectedTemplate ? (
+              <>
+                <div className="mb-4 flex items-center space-x-2 p-3 bg-blue-50 rounded-md">
+                  {templateNameDraft !== null ? (
+                    <input
+                      type="text"
+                      value={templateNameDraft}
+                      onChange={(e) => setTemplateNameDraft(e.target.value)}
+                      onBlur={handleRenameTemplate}
+                      onKeyPress={(e) => e.key === 'Enter' && handleRenameTemplate()}
+                      className="flex-1 p-2 border rounded-md"
+                      autoFocus
+                    />
+                  ) : (
+                    <select
+                      value={selectedTemplate.id}
+                      onChange={(e) => setSelectedTemplateId(e.target.value)}
+                      className="flex-1 p-2 border rounded-md bg-white"
+                    >
+                      {templates.map(template => (
+                        <option key={template.id} value={template.id}>
+                          {template.name} ({template.steps.length} steps)
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <button
+                    onClick={() => setTemplateNameDraft(selectedTemplate.name)}
+                    className="text-blue-500 hover:text-blue-700 p-2"
+                    title="Rename template"
+                  >
+                    <Edit3 size={16} />
+                  </button>
+                  <button
+                    onClick={handleDuplicateTemplate}
+                    className="text-blue-500 hover:text-blue-700 p-2"
+                    title="Duplicate template"
+                  >
+                    <Copy size={16} />
+                  </button>
+                  <button
+                    onClick={() => onRemoveTemplate(selectedTemplate.id)}
+                    disabled={templates.length <= 1}
+                    className="text-red-500 hover:text-red-700 p-2 disabled:opacity-30 disabled:cursor-not-allowed"
+                    title={templates.length <= 1 ? 'At least one template is required' : 'Delete template'}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+
+                <div className="mb-4 flex space-x-2">
+                  <input
+                    type="text"
+                    placeholder="Enter step name"
+                    value={newStepName}
+                    onChange={(e) => setNewStepName(e.target.value)}
+                    className="flex-1 p-2 border rounded-md"
+                  />
+                  <input
+                    type="number"
+                    placeholder="Days"
+                    value={newStepDays}
+                    onChange={(e) => setNewStepDays(parseInt(e.target.value) || 1)}
+                    className="w-20 p-2 border rounded-md"
+                    min="1"
+                  />
+                  <button
+                    onClick={handleAddStep}
+                    className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600"
+                  >
+                    Add Step
+                  </button>
+                </div>
+
+                {showSync ? (
+                  <TemplateSyncPanel
+                    key={selectedTemplate.id}
+                    template={selectedTemplate}
+                    projects={projects}
+                    onApply={onApplyTemplate}
+                    onClose={() => setShowSync(false)}
+                  />
+                ) : outdatedProjects.length > 0 && (
+                  <div className="mb-4 p-3 rounded-md bg-amber-50 text-amber-800 text-sm flex items-center justify-between">
+                    <span>
+                      {outdatedProjects.length} in-flight {outdatedProjects.length === 1 ? 'project differs' : 'projects differ'} from this template
+                    </span>
+                    <button onClick={() => setShowSync(true)} className="flex items-center space-x-1 font-medium hover:text-amber-900">
+                      <RefreshCw size={14} />
+                      <span>Review and apply changes</span>
+                    </button>
+                  </div>
+                )}
+
+                <div className="space-y-2">
+                  {selectedTemplate.steps.map((step, index) => (
+                    <div
+                      key={step.id}
+                      onDragOver={(e) => {
+                        e.preventDefault();
+                        setDropTargetId(step.id);
+                      }}
+                      onDragLeave={() => setDropTargetId(null)}
+                      onDrop={(e) => handleDropStep(e, step)}
+                      className={`p-3 bg-gray-50 rounded-md ${dropTargetId === step.id && draggedStepId !== step.id ? 'ring-2 ring-blue-400' : ''} ${draggedStepId === step.id ? 'opacity-50' : ''}`}
+                    >
+                      <div className="flex items-center space-x-3">
+                        <span
+                          draggable
+                          onDragStart={(e) => {
+                            e.dataTransfer.setData('text/plain', String(step.id));
+                            setDraggedStepId(step.id);
+                          }}
+                          onDragEnd={() => {
+                            setDraggedStepId(null);
+                            setDropTargetId(null);
+                          }}
+                          className="cursor-move text-gray-400 hover:text-gray-600"
+                          title="Drag to reorder"
+                        >
+                          <GripVertical size={16} />
+                        </span>
+                        <span className="w-8 text-center font-medium text-gray-500">{index + 1}</span>
+                        {editingStep === step.id ? (
+                          <>
+                            <input
+                              type="text"
+                              value={step.name}
+                              onChange={(e) => handleUpdateStep(step.id, 'name', e.target.value)}
+                              className="flex-1 p-1 border rounded"
+                              onBlur={() => setEditingStep(null)}
+                              onKeyPress={(e) => e.key === 'Enter' && setEditingStep(null)}
+                              autoFocus
+                            />
+                            <input
+                              type="number"
+                              value={step.estimated_days}
+                              onChange={(e) => {
+                                const days = parseInt(e.target.value, 10);
+                                if (days >= 1) handleUpdateStep(step.id, 'estimated_days', days);
+                              }}
+                              className="w-16 p-1 border rounded text-center"
+                              min="1"
+                            />
+                          </>
+                        ) : (
+                          <>
+                            <span className="flex-1 cursor-pointer" onClick={() => setEditingStep(step.id)}>
+                              {step.name}
+                            </span>
+                            <span className="w-16 text-center text-gray-600">{step.estimated_days}d</span>
+                          </>
+                        )}
+                        <button
+                          onClick={() => onRemoveStep(step.id)}
+                          className="text-red-500 hover:text-red-700"
+                        >
+                          <X size={16} />
+                        </button>
+                      </div>
+                      <div className="mt-2 ml-11">
+                        <DependencyPicker
+                          steps={selectedTemplate.steps}
+                          step={step}
+                          onChange={(ids) => onUpdateStep(step.id, { depends_on: ids })}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                  {selectedTemplate.steps.length === 0 && (
+                    <p className="text-center text-gray-500 py-4">This template has no steps yet</p>
+                  )}
+                </div>
+              </>
+            ) : (
+              <p className="text-center text-gray-500 py-4">Create a template to define a workflow</p>
+            )}
+          </div>
+        )}
+
+        {/* Import / Export Tab */}
+        {activeTab === 'data' && (
+          <DataTransferPanel
+            projects={projects}
+            teamMembers={teamMembers}
+            templates={templates}
+            onImport={onImport}
+          />
+        )}
+
+        {/* Users Tab */}
+        {activeTab === 'users' && (
+          <UserManagement
+            users={appUsers}
+            currentUser={currentUser}
+            teamMembers={teamMembers}
+            onUpdateUser={onUpdateUser}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
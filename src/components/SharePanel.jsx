@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Link, Copy, RefreshCw, X } from 'lucide-react';
+import { getShareUrl } from '../lib/share';
+
+// Commits on blur so each keystroke doesn't save
+const ClientNameInput = ({ step, onSave }) => {
+  const [draft, setDraft] = useState(step.client_name || '');
+
+  const commit = () => {
+    const value = draft.trim() || null;
+    if (value !== (step.client_name || null)) onSave(step.id, value);
+  };
+
+  return (
+    <input
+      type="text"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyPress={(e) => e.key === 'Enter' && e.target.blur()}
+      placeholder={step.name}
+      className="flex-1 border rounded px-2 py-1 text-xs"
+    />
+  );
+};
+
+// Client share link for a project, plus the step names the client will see
+const SharePanel = ({ project, onEnable, onRegenerate, onRevoke, onRenameStep }) => {
+  const [copied, setCopied] = useState(false);
+
+  if (!project.share_token) {
+    return (
+      <div className="flex items-center justify-between text-sm">
+        <p className="text-gray-600">Give the client a read-only link with progress, milestones and approved deliverables.</p>
+        <button
+          onClick={() => onEnable(project)}
+          className="text-blue-600 hover:text-blue-800 flex items-center space-x-1 shrink-0 ml-4"
+        >
+          <Link size={16} />
+          <span>Create share link</span>
+        </button>
+      </div>
+    );
+  }
+
+  const url = getShareUrl(project.share_token);
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(url);
+    setCopied(true);
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center space-x-2">
+        <input type="text" readOnly value={url} className="flex-1 border rounded px-2 py-1 text-xs bg-gray-50 font-mono" />
+        <button onClick={handleCopy} className="text-blue-600 hover:text-blue-800 flex items-center space-x-1">
+          <Copy size={14} />
+          <span>{copied ? 'Copied' : 'Copy'}</span>
+        </button>
+        <button
+          onClick={() => onRegenerate(project)}
+          className="text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+          title="Replace the link; the old one stops working"
+        >
+          <RefreshCw size={14} />
+          <span>Regenerate</span>
+        </button>
+        <button
+          onClick={() => onRevoke(project)}
+          className="text-red-600 hover:text-red-800 flex items-center space-x-1"
+        >
+          <X size={14} />
+          <span>Revoke</span>
+        </button>
+      </div>
+      <div>
+        <p className="text-xs text-gray-600 mb-1">Step names the client sees (leave blank to use the internal name)</p>
+        <div className="grid grid-cols-2 gap-2">
+          {(project.project_steps || []).map(step => (
+            <label key={step.id} className="flex items-center space-x-2 text-xs">
+              <span className="w-24 truncate text-gray-500" title={step.name}>{step.name}</span>
+              <ClientNameInput key={step.client_name || ''} step={step} onSave={onRenameStep} />
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharePanel;
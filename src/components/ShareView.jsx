@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, Circle, Clock, BadgeCheck, ExternalLink, Lock } from 'lucide-react';
+import { repository } from '../data';
+import { toClientView } from '../lib/share';
+import { isLink } from '../lib/assets';
+
+const STEP_ICONS = {
+  completed: <CheckCircle size={18} className="text-green-500" />,
+  'in-progress': <Clock size={18} className="text-blue-500" />,
+  upcoming: <Circle size={18} className="text-gray-300" />
+};
+
+// Read-only page a client reaches through a project's share link
+const ShareView = ({ token }) => {
+  const [project, setProject] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSharedProject = async () => {
+      try {
+        const shared = await repository.getSharedProject(token);
+        setProject(shared && toClientView(shared));
+      } catch (err) {
+        setError('Failed to load project: ' + err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadSharedProject();
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (error || !project) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center bg-white p-8 rounded-lg shadow-md">
+          <Lock size={48} className="mx-auto mb-4 text-gray-400" />
+          <p className="text-gray-700">{error || 'This link is no longer valid. Ask your producer for a new one.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 py-6">
+          <p className="text-sm text-gray-500">{project.client}</p>
+          <h1 className="text-2xl font-bold text-gray-900">{project.name}</h1>
+          <p className="text-sm text-gray-500">
+            {new Date(project.start_date).toLocaleDateString()} – {new Date(project.end_date).toLocaleDateString()}
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 py-6 space-y-6">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>Progress</span>
+            <span>{project.progress}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-3">
+            <div className="bg-blue-500 h-3 rounded-full" style={{ width: `${project.progress}%` }}></div>
+          </div>
+          <ol className="mt-6 space-y-3">
+            {project.steps.map(step => (
+              <li key={step.id} className="flex items-center justify-between text-sm">
+                <span className="flex items-center space-x-2">
+                  {STEP_ICONS[step.status]}
+                  <span className={step.status === 'completed' ? 'text-gray-500' : 'text-gray-800'}>{step.name}</span>
+                </span>
+                {step.due_date && step.status !== 'completed' && (
+                  <span className="text-gray-500">{new Date(step.due_date).toLocaleDateString()}</span>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-lg font-semibold mb-3">Upcoming milestones</h2>
+          {project.milestones.length === 0 ? (
+            <p className="text-sm text-gray-500">All milestones are complete.</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {project.milestones.map(milestone => (
+                <li key={milestone.id} className="flex justify-between">
+                  <span>{milestone.name}</span>
+                  <span className="text-gray-600">{new Date(milestone.due_date).toLocaleDateString()}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-lg font-semibold mb-3">Approved deliverables</h2>
+          {project.deliverables.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing has been approved yet.</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {project.deliverables.map(asset => (
+                <li key={asset.id} className="flex items-center justify-between">
+                  <span className="flex items-center space-x-2">
+                    <BadgeCheck size={16} className="text-green-600" />
+                    {isLink(asset.url) ? (
+                      <a
+                        href={asset.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:text-blue-800 inline-flex items-center space-x-1"
+                      >
+                        <span>{asset.label} v{asset.version}</span>
+                        <ExternalLink size={12} />
+                      </a>
+                    ) : (
+                      <span>{asset.label} v{asset.version}</span>
+                    )}
+                  </span>
+                  <span className="text-gray-500">{new Date(asset.approved_at).toLocaleDateString()}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareView;
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { Paperclip, ExternalLink, BadgeCheck, Plus } from 'lucide-react';
+import { getMemberName } from '../lib/team';
+import { getAssetGroups, isLink } from '../lib/assets';
+
+const emptyAsset = (teamMembers) => ({
+  label: '',
+  url: '',
+  note: '',
+  uploadedBy: teamMembers[0] ? String(teamMembers[0].id) : ''
+});
+
+// Versioned deliverables of one step, grouped by label, newest version first
+const StepAssets = ({ step, teamMembers, onAddAsset, onSetCurrent, onApprove }) => {
+  const [adding, setAdding] = useState(false);
+  const [form, setForm] = useState(() => emptyAsset(teamMembers));
+  const [formError, setFormError] = useState(null);
+  const groups = getAssetGroups(step);
+
+  const handleAdd = () => {
+    if (!form.label.trim() || !form.url.trim()) {
+      setFormError('A label and a URL or file reference are required.');
+      return;
+    }
+    onAddAsset(step, {
+      label: form.label.trim(),
+      url: form.url.trim(),
+      note: form.note.trim(),
+      uploaded_by: teamMembers.find(member => String(member.id) === form.uploadedBy)?.id ?? null
+    });
+    setForm(emptyAsset(teamMembers));
+    setFormError(null);
+    setAdding(false);
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-gray-600 flex items-center space-x-1">
+          <Paperclip size={14} />
+          <span>Deliverables</span>
+        </span>
+        {!adding && (
+          <button
+            onClick={() => setAdding(true)}
+            className="text-xs text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+          >
+            <Plus size={12} />
+            <span>Add version</span>
+          </button>
+        )}
+      </div>
+
+      {groups.length === 0 && !adding && (
+        <p className="text-xs text-gray-400">Nothing attached yet</p>
+      )}
+
+      {groups.map(({ label, versions }) => (
+        <div key={label} className="bg-gray-50 rounded-md p-2">
+          <p className="font-medium text-gray-800">{label}</p>
+          {versions.map(asset => (
+            <div key={asset.id} className="flex items-start justify-between mt-1 text-xs">
+              <div className={asset.is_current ? '' : 'text-gray-500'}>
+                <span className="font-medium">v{asset.version}</span>
+                {' '}
+                {isLink(asset.url) ? (
+                  <a
+                    href={asset.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-600 hover:text-blue-800 inline-flex items-center space-x-1"
+                  >
+                    <span>{asset.url}</span>
+                    <ExternalLink size={12} />
+                  </a>
+                ) : (
+                  <span className="font-mono">{asset.url}</span>
+                )}
+                <span className="text-gray-400">
+                  {' · '}{asset.uploaded_by ? getMemberName(teamMembers, asset.uploaded_by) : 'Unknown'}
+                  {' · '}{new Date(asset.created_at).toLocaleDateString()}
+                </span>
+                {asset.note && <p className="text-gray-600">{asset.note}</p>}
+              </div>
+              <div className="flex items-center space-x-2 shrink-0 ml-2">
+                {asset.is_current && (
+                  <span className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">Current</span>
+                )}
+                {asset.approved_at && (
+                  <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-800 flex items-center space-x-1">
+                    <BadgeCheck size={12} />
+                    <span>Approved</span>
+                  </span>
+                )}
+                {!asset.is_current && (
+                  <button onClick={() => onSetCurrent(asset)} className="text-blue-600 hover:text-blue-800">
+                    Make current
+                  </button>
+                )}
+                {!asset.approved_at && (
+                  <button onClick={() => onApprove(step, asset)} className="text-green-700 hover:text-green-900">
+                    Approve
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      {adding && (
+        <div className="bg-gray-50 rounded-md p-2 space-y-2">
+          {formError && <p className="text-xs text-red-700">{formError}</p>}
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="text"
+              value={form.label}
+              onChange={(e) => setForm({ ...form, label: e.target.value })}
+              list={`asset-labels-${step.id}`}
+              placeholder="Label, e.g. Script draft"
+              className="border rounded px-2 py-1 text-xs"
+            />
+            <datalist id={`asset-labels-${step.id}`}>
+              {groups.map(({ label }) => <option key={label} value={label} />)}
+            </datalist>
+            <input
+              type="text"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+              placeholder="URL or file reference"
+              className="border rounded px-2 py-1 text-xs"
+            />
+            <input
+              type="text"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+              placeholder="Note (optional)"
+              className="border rounded px-2 py-1 text-xs"
+            />
+            <select
+              value={form.uploadedBy}
+              onChange={(e) => setForm({ ...form, uploadedBy: e.target.value })}
+              className="border rounded px-2 py-1 text-xs"
+            >
+              <option value="">Uploaded by...</option>
+              {teamMembers.map(member => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={handleAdd}
+              className="text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+            >
+              Save version
+            </button>
+            <button
+              onClick={() => { setAdding(false); setFormError(null); }}
+              className="text-xs bg-gray-300 text-gray-700 px-3 py-1 rounded hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StepAssets;
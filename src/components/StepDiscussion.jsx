@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { MessageSquare, CornerDownRight, Check, RotateCcw } from 'lucide-react';
+import { getMemberName } from '../lib/team';
+import {
+  ROUND_STATUSES,
+  isReviewStep,
+  getRounds,
+  getCurrentRound,
+  canStartRound,
+  getCommentThreads
+} from '../lib/revisions';
+
+// Client feedback is posted by a team member on the client's behalf
+const Comment = ({ comment, teamMembers }) => (
+  <div className="text-sm">
+    <span className={`font-medium ${comment.from_client ? 'text-purple-700' : 'text-gray-800'}`}>
+      {comment.from_client ? 'Client' : getMemberName(teamMembers, comment.author_id)}
+    </span>
+    {comment.from_client && comment.author_id != null && (
+      <span className="text-xs text-gray-500 ml-1">via {getMemberName(teamMembers, comment.author_id)}</span>
+    )}
+    <span className="text-xs text-gray-400 ml-2">{new Date(comment.created_at).toLocaleString()}</span>
+    <p className="text-gray-700 whitespace-pre-line">{comment.body}</p>
+  </div>
+);
+
+// Revision rounds (review steps only) and the comment threads of one step.
+// Comments are posted as memberId, the team member linked to the signed-in
+// account; accounts without one can read but not post.
+const StepDiscussion = ({ step, teamMembers, memberId = null, onAddComment, onStartRound, onDecideRound }) => {
+  const [body, setBody] = useState('');
+  const [fromClient, setFromClient] = useState(false);
+  const [replyTo, setReplyTo] = useState(null);
+  const threads = getCommentThreads(step.comments);
+  const rounds = getRounds(step);
+  const currentRound = getCurrentRound(step);
+
+  const handlePost = () => {
+    if (!body.trim() || memberId == null) return;
+    onAddComment(step, {
+      body: body.trim(),
+      parent_id: replyTo,
+      from_client: fromClient
+    });
+    setBody('');
+    setReplyTo(null);
+    setFromClient(false);
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t space-y-3">
+      {isReviewStep(step) && (
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <span className="text-gray-600">Revision rounds:</span>
+          {rounds.length === 0 && <span className="text-gray-400">none yet</span>}
+          {rounds.map(round => (
+            <span
+              key={round.id}
+              className={`px-2 py-0.5 rounded-full font-medium ${ROUND_STATUSES[round.status].className}`}
+            >
+              Round {round.round_number}: {ROUND_STATUSES[round.status].label}
+            </span>
+          ))}
+          {currentRound?.status === 'in-review' && (
+            <>
+              <button
+                onClick={() => onDecideRound(step, currentRound, 'approved')}
+                className="text-green-700 hover:text-green-900 flex items-center space-x-1"
+              >
+                <Check size={14} />
+                <span>Approve</span>
+              </button>
+              <button
+                onClick={() => onDecideRound(step, currentRound, 'changes-requested')}
+                className="text-amber-700 hover:text-amber-900 flex items-center space-x-1"
+              >
+                <RotateCcw size={14} />
+                <span>Request changes</span>
+              </button>
+            </>
+          )}
+          {canStartRound(step) && (
+            <button
+              onClick={() => onStartRound(step)}
+              className="text-blue-600 hover:text-blue-800"
+            >
+              + Start round {rounds.length + 1}
+            </button>
+          )}
+        </div>
+      )}
+
+      {threads.length > 0 && (
+        <div className="space-y-2">
+          {threads.map(({ comment, replies }) => (
+            <div key={comment.id} className="bg-gray-50 rounded-md p-2">
+              <Comment comment={comment} teamMembers={teamMembers} />
+              {replies.map(reply => (
+                <div key={reply.id} className="ml-4 mt-2 pl-2 border-l">
+                  <Comment comment={reply} teamMembers={teamMembers} />
+                </div>
+              ))}
+              <button
+                onClick={() => setReplyTo(comment.id)}
+                className="mt-1 text-xs text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+              >
+                <CornerDownRight size={12} />
+                <span>Reply</span>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {memberId == null ? (
+        <p className="text-xs text-gray-500">
+          Ask an admin to link your account to a team member to comment.
+        </p>
+      ) : (
+        <div className="flex items-center space-x-2">
+          <MessageSquare size={16} className="text-gray-400" />
+          <label className="text-xs text-gray-600 flex items-center space-x-1" title={`Posted as ${getMemberName(teamMembers, memberId)}`}>
+            <input
+              type="checkbox"
+              checked={fromClient}
+              onChange={(e) => setFromClient(e.target.checked)}
+            />
+            <span>On behalf of client</span>
+          </label>
+          <input
+            type="text"
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handlePost()}
+            placeholder={replyTo ? 'Write a reply...' : 'Add a comment or client feedback...'}
+            className="flex-1 text-sm border rounded px-2 py-1"
+          />
+          {replyTo && (
+            <button onClick={() => setReplyTo(null)} className="text-xs text-gray-500 hover:text-gray-700">
+              Cancel reply
+            </button>
+          )}
+          <button
+            onClick={handlePost}
+            className="text-sm bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+          >
+            Post
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StepDiscussion;
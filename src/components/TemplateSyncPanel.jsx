@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { getInFlightProjects, diffProjectWithTemplate, hasTemplateChanges } from '../lib/templateSync';
+
+// Preview of what applying a template's current steps would change in each
+// in-flight project created from it, with a choice of projects to update
+const TemplateSyncPanel = ({ template, projects, onApply, onClose }) => {
+  const candidates = getInFlightProjects(projects, template)
+    .map(project => ({ project, diff: diffProjectWithTemplate(project, template) }))
+    .filter(({ diff }) => hasTemplateChanges(diff));
+  const [selectedIds, setSelectedIds] = useState(() => candidates.map(({ project }) => project.id));
+  const [applying, setApplying] = useState(false);
+
+  const toggle = (id) => setSelectedIds(current =>
+    current.includes(id) ? current.filter(other => other !== id) : [...current, id]);
+
+  const chosen = candidates.filter(({ project }) => selectedIds.includes(project.id));
+
+  const handleApply = async () => {
+    setApplying(true);
+    await onApply(template, chosen.map(({ project }) => project.id));
+    setApplying(false);
+    onClose();
+  };
+
+  if (candidates.length === 0) {
+    return (
+      <div className="mb-4 p-3 border rounded-md text-sm text-gray-600 flex justify-between">
+        <span>Every in-flight project already matches this template.</span>
+        <button onClick={onClose} className="text-blue-600 hover:text-blue-800">Close</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4 p-3 border rounded-md text-sm space-y-3">
+      <p className="text-gray-600">
+        Completed steps are never changed. Steps already started are renamed but not removed.
+        New steps are added unscheduled; use Auto-schedule on the project to give them dates.
+      </p>
+      {candidates.map(({ project, diff }) => (
+        <label key={project.id} className="block border rounded p-2 cursor-pointer">
+          <div className="flex items-center space-x-2 font-medium">
+            <input type="checkbox" checked={selectedIds.includes(project.id)} onChange={() => toggle(project.id)} />
+            <span>{project.name}</span>
+            <span className="text-gray-500 font-normal">{project.client}</span>
+          </div>
+          <ul className="ml-6 mt-1 space-y-0.5">
+            {diff.add.map(step => (
+              <li key={`add-${step.id}`} className="text-green-700">+ Add "{step.name}"</li>
+            ))}
+            {diff.rename.map(({ step, name }) => (
+              <li key={`rename-${step.id}`} className="text-blue-700">Rename "{step.name}" to "{name}"</li>
+            ))}
+            {diff.remove.map(step => (
+              <li key={`remove-${step.id}`} className="text-red-700">− Remove "{step.name}"</li>
+            ))}
+            {diff.kept.map(step => (
+              <li key={`kept-${step.id}`} className="text-gray-500">Keep "{step.name}" (already started)</li>
+            ))}
+          </ul>
+        </label>
+      ))}
+      <div className="flex justify-end space-x-2">
+        <button onClick={onClose} className="px-3 py-1 text-gray-600 hover:text-gray-800">Cancel</button>
+        <button
+          onClick={handleApply}
+          disabled={chosen.length === 0 || applying}
+          className="bg-blue-500 text-white px-3 py-1 rounded-md hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {applying ? 'Applying…' : `Apply to ${chosen.length} ${chosen.length === 1 ? 'project' : 'projects'}`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateSyncPanel;
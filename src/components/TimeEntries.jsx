@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { Clock, Plus, X } from 'lucide-react';
+import { getAssigneeIds, getMemberName } from '../lib/team';
+import { getTimeEntries, formatHours } from '../lib/budget';
+import { today } from '../lib/dates';
+
+// Time logged against one step; defaults the form to the step's first assignee
+const TimeEntries = ({ step, teamMembers, onAddEntry, onRemoveEntry }) => {
+  const defaultMemberId = getAssigneeIds(step)[0] ?? teamMembers[0]?.id;
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const entries = [...getTimeEntries(step)].sort((a, b) => (a.date < b.date ? 1 : -1));
+  const totalHours = entries.reduce((total, entry) => total + (Number(entry.hours) || 0), 0);
+
+  const handleSave = () => {
+    const hours = parseFloat(form.hours);
+    const member = teamMembers.find(m => String(m.id) === form.memberId);
+    if (!member || Number.isNaN(hours) || hours <= 0 || !form.date) {
+      setFormError('Pick who did the work, the date and a positive number of hours.');
+      return;
+    }
+    onAddEntry(step, { member_id: member.id, date: form.date, hours, note: form.note.trim() });
+    setForm(null);
+    setFormError(null);
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-gray-600 flex items-center space-x-1">
+          <Clock size={14} />
+          <span>Time logged</span>
+          {entries.length > 0 && <span className="text-gray-400">· {formatHours(totalHours)}</span>}
+        </span>
+        {!form && (
+          <button
+            onClick={() => setForm({ memberId: defaultMemberId == null ? '' : String(defaultMemberId), date: today(), hours: '', note: '' })}
+            className="text-xs text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+          >
+            <Plus size={12} />
+            <span>Log time</span>
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <div className="bg-gray-50 rounded-md p-2 space-y-2">
+          {formError && <p className="text-xs text-red-700">{formError}</p>}
+          <div className="grid grid-cols-4 gap-2">
+            <select
+              value={form.memberId}
+              onChange={(e) => setForm({ ...form, memberId: e.target.value })}
+              className="border rounded px-2 py-1 text-xs"
+            >
+              <option value="">Who...</option>
+              {teamMembers.map(member => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={form.date}
+              onChange={(e) => setForm({ ...form, date: e.target.value })}
+              className="border rounded px-2 py-1 text-xs"
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.25"
+              value={form.hours}
+              onChange={(e) => setForm({ ...form, hours: e.target.value })}
+              placeholder="Hours"
+              className="border rounded px-2 py-1 text-xs"
+            />
+            <input
+              type="text"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+              placeholder="Note (optional)"
+              className="border rounded px-2 py-1 text-xs"
+            />
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={handleSave}
+              className="text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+            >
+              Save time
+            </button>
+            <button
+              onClick={() => { setForm(null); setFormError(null); }}
+              className="text-xs bg-gray-300 text-gray-700 px-3 py-1 rounded hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {entries.map(entry => (
+        <div key={entry.id} className="flex items-center justify-between text-xs text-gray-700">
+          <span>
+            <span className="font-medium">{formatHours(Number(entry.hours) || 0)}</span>
+            {' · '}{getMemberName(teamMembers, entry.member_id)}
+            {' · '}{new Date(entry.date).toLocaleDateString()}
+            {entry.note && <span className="text-gray-500"> · {entry.note}</span>}
+          </span>
+          <button
+            onClick={() => onRemoveEntry(step, entry)}
+            className="text-gray-400 hover:text-red-600"
+            title="Remove time entry"
+          >
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TimeEntries;
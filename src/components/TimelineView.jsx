@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { Calendar } from 'lucide-react';
+import { addDays, daysBetween, parseDate, today } from '../lib/dates';
+import { getStepStartDate } from '../lib/schedule';
+
+const ZOOM_LEVELS = {
+  week: { label: 'Week', dayWidth: 48 },
+  month: { label: 'Month', dayWidth: 16 },
+  quarter: { label: 'Quarter', dayWidth: 5 }
+};
+
+const LABEL_WIDTH = 220;
+
+const stepColors = {
+  pending: 'bg-gray-400',
+  'in-progress': 'bg-blue-500',
+  completed: 'bg-green-500',
+  blocked: 'bg-red-500'
+};
+
+const formatTick = (value, zoom) => {
+  const date = parseDate(value);
+  if (zoom === 'quarter') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+  if (zoom === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }
+  return date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', timeZone: 'UTC' });
+};
+
+// Header ticks: every day for week zoom, Mondays for month zoom, the 1st for quarter zoom
+const isTick = (value, zoom) => {
+  const date = parseDate(value);
+  if (zoom === 'quarter') return date.getUTCDate() === 1;
+  if (zoom === 'month') return date.getUTCDay() === 1;
+  return true;
+};
+
+// Visible window: every project and step date plus today, padded and started on a Monday
+const getRange = (projects) => {
+  const dates = [today()];
+  projects.forEach(project => {
+    if (project.start_date) dates.push(project.start_date);
+    if (project.end_date) dates.push(project.end_date);
+    (project.project_steps || []).forEach(step => {
+      if (step.due_date) dates.push(step.due_date);
+    });
+  });
+  dates.sort();
+  let start = addDays(dates[0], -7);
+  while (parseDate(start).getUTCDay() !== 1) start = addDays(start, -1);
+  return { start, end: addDays(dates[dates.length - 1], 14) };
+};
+
+const TimelineView = ({ projects, onOpenProject, onRescheduleStep, canEditStep = () => true }) => {
+  const [zoom, setZoom] = useState('month');
+  const [drag, setDrag] = useState(null);
+
+  const { dayWidth } = ZOOM_LEVELS[zoom];
+  const range = getRange(projects);
+  const totalDays = daysBetween(range.start, range.end) + 1;
+  const days = Array.from({ length: totalDays }, (_, i) => addDays(range.start, i));
+  const offsetOf = (value) => daysBetween(range.start, value) * dayWidth;
+
+  // Track the pointer on the window so a drag keeps working outside the bar
+  const startDrag = (e, project, step) => {
+    e.preventDefault();
+    const originX = e.clientX;
+    let offsetDays = 0;
+    setDrag({ stepId: step.id, offsetDays });
+
+    const handleMove = (moveEvent) => {
+      offsetDays = Math.round((moveEvent.clientX - originX) / dayWidth);
+      setDrag({ stepId: step.id, offsetDays });
+    };
+    const handleUp = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      setDrag(null);
+      if (offsetDays !== 0) {
+        onRescheduleStep(project, step.id, addDays(step.due_date, offsetDays));
+      }
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  if (projects.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-gray-400 mb-4">
+          <Calendar size={64} className="mx-auto" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-600 mb-2">Nothing to plot yet</h3>
+        <p className="text-gray-500">Projects and their scheduled steps will appear here</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md">
+      <div className="flex justify-between items-center p-4 border-b">
+        <div className="flex items-center space-x-4 text-xs text-gray-600">
+          {Object.entries(stepColors).map(([status, color]) => (
+            <span key={status} className="flex items-center space-x-1">
+              <span className={`inline-block w-3 h-3 rounded ${color}`}></span>
+              <span className="capitalize">{status.replace('-', ' ')}</span>
+            </span>
+          ))}
+          <span className="text-gray-400">Drag a step to reschedule it</span>
+        </div>
+        <div className="flex border rounded-lg overflow-hidden">
+          {Object.entries(ZOOM_LEVELS).map(([key, level]) => (
+            <button
+              key={key}
+              onClick={() => setZoom(key)}
+              className={`px-3 py-1 text-sm ${zoom === key ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+            >
+              {level.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div style={{ width: LABEL_WIDTH + totalDays * dayWidth }} className="relative">
+          {/* Date header */}
+          <div className="flex border-b bg-gray-50 sticky top-0">
+            <div style={{ width: LABEL_WIDTH }} className="shrink-0 p-2 text-xs font-medium text-gray-500">
+              Project / Step
+            </div>
+            <div className="relative h-8" style={{ width: totalDays * dayWidth }}>
+              {days.filter(day => isTick(day, zoom)).map(day => (
+                <span
+                  key={day}
+                  className="absolute top-0 h-full border-l pl-1 text-xs text-gray-500 whitespace-nowrap leading-8"
+                  style={{ left: offsetOf(day) }}
+                >
+                  {formatTick(day, zoom)}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Today marker */}
+          <div
+            className="absolute top-0 bottom-0 w-0.5 bg-red-500 z-10 pointer-events-none"
+            style={{ left: LABEL_WIDTH + offsetOf(today()) + dayWidth / 2 }}
+            title="Today"
+          ></div>
+
+          {projects.map(project => {
+            const skipWeekends = project.skip_weekends !== false;
+            return (
+              <div key={project.id} className="border-b">
+                <div className="flex items-center h-9 bg-gray-50">
+                  <button
+                    onClick={() => onOpenProject(project)}
+                    style={{ width: LABEL_WIDTH }}
+                    className="shrink-0 px-2 text-left text-sm font-semibold text-gray-800 truncate hover:text-blue-600"
+                    title={`${project.name} · ${project.client}`}
+                  >
+                    {project.name}
+                  </button>
+                  <div className="relative h-full" style={{ width: totalDays * dayWidth }}>
+                    {project.start_date && project.end_date && (
+                      <div
+                        className="absolute top-2 h-5 rounded bg-indigo-200 border border-indigo-400"
+                        style={{
+                          left: offsetOf(project.start_date),
+                          width: (daysBetween(project.start_date, project.end_date) + 1) * dayWidth
+                        }}
+                        title={`${project.start_date} → ${project.end_date}`}
+                      ></div>
+                    )}
+                  </div>
+                </div>
+
+                {(project.project_steps || []).map(step => {
+                  const dragging = drag && drag.stepId === step.id;
+                  const shift = dragging ? drag.offsetDays : 0;
+                  const startDate = getStepStartDate(step, skipWeekends);
+                  const movable = canEditStep(step, ['due_date']);
+                  return (
+                    <div key={step.id} className="flex items-center h-7">
+                      <div style={{ width: LABEL_WIDTH }} className="shrink-0 pl-6 pr-2 text-xs text-gray-600 truncate">
+                        {step.name}
+                      </div>
+                      <div className="relative h-full" style={{ width: totalDays * dayWidth }}>
+                        {startDate && (
+                          <div
+                            onPointerDown={movable ? (e) => startDrag(e, project, step) : undefined}
+                            className={`absolute top-1 h-5 rounded ${movable ? 'cursor-grab' : ''} ${stepColors[step.status] || stepColors.pending} ${dragging ? 'opacity-70 cursor-grabbing ring-2 ring-blue-300' : ''}`}
+                            style={{
+                              left: offsetOf(addDays(startDate, shift)),
+                              width: Math.max((daysBetween(startDate, step.due_date) + 1) * dayWidth, dayWidth)
+                            }}
+                            title={`${step.name}: due ${addDays(step.due_date, shift)}`}
+                          ></div>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimelineView;
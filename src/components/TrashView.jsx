@@ -0,0 +1,54 @@
+import React from 'react';
+import { RotateCcw, Trash2 } from 'lucide-react';
+
+// Actions without a handler (not allowed for the signed-in role) are hidden
+const TrashView = ({ projects, onRestore, onDelete }) => {
+  if (projects.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-gray-400 mb-4">
+          <Trash2 size={64} className="mx-auto" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-600 mb-2">Trash is empty</h3>
+        <p className="text-gray-500">Deleted projects can be restored from here</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md divide-y">
+      {projects.map(project => (
+        <div key={project.id} className="flex items-center justify-between p-4">
+          <div>
+            <h3 className="font-semibold text-gray-800">{project.name}</h3>
+            <p className="text-sm text-gray-600">
+              {project.client} · deleted {new Date(project.deleted_at).toLocaleString()}
+            </p>
+          </div>
+          <div className="flex space-x-3">
+            {onRestore && (
+              <button
+                onClick={() => onRestore(project)}
+                className="text-blue-600 hover:text-blue-800 flex items-center space-x-1 text-sm"
+              >
+                <RotateCcw size={16} />
+                <span>Restore</span>
+              </button>
+            )}
+            {onDelete && (
+              <button
+                onClick={() => onDelete(project)}
+                className="text-red-600 hover:text-red-800 flex items-center space-x-1 text-sm"
+              >
+                <Trash2 size={16} />
+                <span>Delete forever</span>
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TrashView;
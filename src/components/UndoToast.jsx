@@ -0,0 +1,30 @@
+import React, { useEffect } from 'react';
+import { Undo2, X } from 'lucide-react';
+
+const DISMISS_AFTER_MS = 8000;
+
+// Bottom-of-screen notice for a destructive action, with a way to take it back
+const UndoToast = ({ toast, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, DISMISS_AFTER_MS);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[60] bg-gray-900 text-white rounded-lg shadow-lg px-4 py-3 flex items-center space-x-4">
+      <span className="text-sm">{toast.message}</span>
+      <button
+        onClick={onUndo}
+        className="text-sm font-semibold text-blue-300 hover:text-blue-200 flex items-center space-x-1"
+      >
+        <Undo2 size={16} />
+        <span>Undo</span>
+      </button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-gray-200">
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { ROLES } from '../lib/permissions';
+
+// Accounts that have signed in, with their role and the team member they
+// work as. Editors can only change steps assigned to their linked member.
+// Admins can't change their own role so there is always one admin left.
+const UserManagement = ({ users, currentUser, teamMembers, onUpdateUser }) => {
+  if (users.length === 0) {
+    return <p className="text-sm text-gray-500 py-4 text-center">Accounts appear here once they have signed in</p>;
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">
+        New accounts start as viewers. Link an account to a team member so their steps and activity are attributed to them.
+      </p>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 text-xs">
+            <th className="font-medium py-1">Account</th>
+            <th className="font-medium py-1">Role</th>
+            <th className="font-medium py-1">Team member</th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(user => (
+            <tr key={user.id} className="border-t">
+              <td className="py-2">
+                {user.email}
+                {user.id === currentUser.id && <span className="text-gray-500"> (you)</span>}
+              </td>
+              <td className="py-2">
+                <select
+                  value={user.role}
+                  onChange={(e) => onUpdateUser(user, { role: e.target.value })}
+                  disabled={user.id === currentUser.id}
+                  className="border rounded px-2 py-1 disabled:bg-gray-100"
+                >
+                  {ROLES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="py-2">
+                <select
+                  value={user.member_id ?? ''}
+                  onChange={(e) => onUpdateUser(user, {
+                    member_id: teamMembers.find(member => String(member.id) === e.target.value)?.id ?? null
+                  })}
+                  className="border rounded px-2 py-1"
+                >
+                  <option value="">Not linked</option>
+                  {teamMembers.map(member => (
+                    <option key={member.id} value={member.id}>{member.name}</option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default UserManagement;
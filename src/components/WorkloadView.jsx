@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CalendarDays, ChevronLeft, ChevronRight } from 'lucide-react';
+import { addDays, parseDate, today } from '../lib/dates';
+import { DEFAULT_WEEKLY_CAPACITY, getWorkload, startOfWeek } from '../lib/workload';
+import { downloadFile } from '../lib/download';
+import { getMemberEvents, toICalendar, icsFileName, ICS_TYPE } from '../lib/ical';
+
+const WEEKS_SHOWN = 8;
+
+const loadColor = (days, capacity) => {
+  if (days === 0) return 'bg-white text-gray-300';
+  const ratio = capacity > 0 ? days / capacity : Infinity;
+  if (ratio > 1) return 'bg-red-100 text-red-800 font-semibold';
+  if (ratio >= 0.8) return 'bg-amber-100 text-amber-800';
+  return 'bg-green-50 text-green-800';
+};
+
+const CapacityInput = ({ member, onSave }) => {
+  const capacity = member.weekly_capacity ?? DEFAULT_WEEKLY_CAPACITY;
+  const [draft, setDraft] = useState(String(capacity));
+
+  const commit = () => {
+    const value = parseFloat(draft);
+    if (Number.isNaN(value) || value < 0) {
+      setDraft(String(capacity));
+    } else if (value !== capacity) {
+      onSave(member.id, { weekly_capacity: value });
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      min="0"
+      step="0.5"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyPress={(e) => e.key === 'Enter' && e.target.blur()}
+      className="w-14 border rounded px-1 text-center text-xs"
+      title="Working days available per week"
+    />
+  );
+};
+
+const WorkloadView = ({ projects, teamMembers, onUpdateMember }) => {
+  const [weekOffset, setWeekOffset] = useState(0);
+
+  const firstWeek = addDays(startOfWeek(today()), weekOffset * 7);
+  const weeks = Array.from({ length: WEEKS_SHOWN }, (_, i) => addDays(firstWeek, i * 7));
+  const workload = getWorkload(projects, weeks);
+
+  const rows = [
+    ...teamMembers.map(member => ({
+      key: member.id,
+      name: member.name,
+      member,
+      capacity: member.weekly_capacity ?? DEFAULT_WEEKLY_CAPACITY,
+      load: workload[member.id] || {}
+    })),
+    { key: 'unassigned', name: 'Unassigned', capacity: null, load: workload[''] || {} }
+  ];
+
+  const exportCalendar = (member) => {
+    const name = `${member.name}'s steps`;
+    downloadFile(icsFileName(name), toICalendar(getMemberEvents(projects, member.id, teamMembers), { name }), ICS_TYPE);
+  };
+
+  const overbooked = rows.filter(row =>
+    row.capacity !== null && weeks.some(week => (row.load[week]?.days || 0) > row.capacity)
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md">
+      <div className="flex justify-between items-center p-4 border-b">
+        <div className="text-sm text-gray-600">
+          Scheduled working days per person and week, from open steps' estimated days and due dates
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => setWeekOffset(weekOffset - WEEKS_SHOWN)} className="p-1 text-gray-600 hover:text-gray-900">
+            <ChevronLeft size={20} />
+          </button>
+          <button onClick={() => setWeekOffset(0)} className="text-sm text-blue-600 hover:text-blue-800">
+            This week
+          </button>
+          <button onClick={() => setWeekOffset(weekOffset + WEEKS_SHOWN)} className="p-1 text-gray-600 hover:text-gray-900">
+            <ChevronRight size={20} />
+          </button>
+        </div>
+      </div>
+
+      {overbooked.length > 0 && (
+        <div className="mx-4 mt-4 p-3 rounded-md bg-red-50 text-red-800 text-sm flex items-center space-x-2">
+          <AlertTriangle size={16} />
+          <span>Overbooked in this period: {overbooked.map(row => row.name).join(', ')}</span>
+        </div>
+      )}
+
+      <div className="overflow-x-auto p-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-500 text-xs">
+              <th className="text-left font-medium p-2">Team Member</th>
+              <th className="font-medium p-2">Days / Week</th>
+              {weeks.map(week => (
+                <th key={week} className="font-medium p-2 whitespace-nowrap">
+                  {parseDate(week).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' })}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className="border-t">
+                <td className="p-2 font-medium text-gray-800">
+                  <span className="flex items-center space-x-2">
+                    <span>{row.name}</span>
+                    {row.member && (
+                      <button
+                        onClick={() => exportCalendar(row.member)}
+                        className="text-gray-400 hover:text-blue-600"
+                        title={`Download ${row.name}'s step due dates (.ics)`}
+                      >
+                        <CalendarDays size={14} />
+                      </button>
+                    )}
+                  </span>
+                </td>
+                <td className="p-2 text-center">
+                  {row.member && onUpdateMember
+                    ? <CapacityInput key={row.capacity} member={row.member} onSave={onUpdateMember} />
+                    : <span className="text-gray-400">{row.capacity ?? '–'}</span>}
+                </td>
+                {weeks.map(week => {
+                  const cell = row.load[week] || { days: 0, steps: [] };
+                  return (
+                    <td key={week} className="p-1">
+                      <div
+                        className={`rounded px-2 py-1 text-center ${row.capacity === null && cell.days > 0 ? 'bg-gray-100 text-gray-700' : loadColor(cell.days, row.capacity)}`}
+                        title={cell.steps.map(({ project, step, days }) => `${project.name}: ${step.name} (${days}d)`).join('\n')}
+                      >
+                        <div>{cell.days > 0 ? `${cell.days}d` : '–'}</div>
+                        {cell.steps.length > 0 && (
+                          <div className="text-xs opacity-75">
+                            {cell.steps.length} step{cell.steps.length === 1 ? '' : 's'}
+                          </div>
+                        )}
+                      </div>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default WorkloadView;
@@ -0,0 +1,36 @@
+import { createSupabaseAdapter } from './supabaseAdapter';
+import { createLocalAdapter } from './localAdapter';
+import { createRepository } from './repository';
+import { createSaveQueue } from './saveQueue';
+
+// VITE_DATA_BACKEND picks the store explicitly ("supabase" or "local").
+// When it is unset we use Supabase if it is configured and fall back to the
+// browser-local store otherwise, so the tracker also runs with no backend.
+export const resolveBackend = (env) => {
+  if (env.VITE_DATA_BACKEND) return env.VITE_DATA_BACKEND;
+  return env.VITE_SUPABASE_URL && env.VITE_SUPABASE_ANON_KEY ? 'supabase' : 'local';
+};
+
+export const createAdapter = (env) => {
+  const backend = resolveBackend(env);
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseAdapter(env.VITE_SUPABASE_URL, env.VITE_SUPABASE_ANON_KEY);
+    case 'local':
+      return createLocalAdapter();
+    default:
+      throw new Error(`Unknown data backend "${backend}". Use "supabase" or "local".`);
+  }
+};
+
+export { createRepository, createLocalAdapter, createSupabaseAdapter, createSaveQueue };
+
+export const repository = createRepository(createAdapter(import.meta.env));
+
+// Inline edits go through the save queue; these are the records it can write
+export const saveQueue = createSaveQueue({
+  savers: {
+    project_steps: (id, updates) => repository.updateProjectSteps([{ id, ...updates }]),
+    workflow_templates: (id, updates) => repository.updateWorkflowStep(id, updates)
+  }
+});
@@ -0,0 +1,150 @@
+export const STORAGE_PREFIX = 'ai-video-tracker:';
+
+// Starter pipeline so a fresh local store is usable for demos straight away
+const SEED_DATA = {
+  project_templates: [
+    { id: 'standard', name: 'Standard Video' }
+  ],
+  workflow_templates: [
+    { template_id: 'standard', name: 'Script', step_order: 1, estimated_days: 2 },
+    { template_id: 'standard', name: 'Storyboard', step_order: 2, estimated_days: 2 },
+    { template_id: 'standard', name: 'Generation', step_order: 3, estimated_days: 3 },
+    { template_id: 'standard', name: 'Editing', step_order: 4, estimated_days: 3 },
+    { template_id: 'standard', name: 'Client Review', step_order: 5, estimated_days: 2 },
+    { template_id: 'standard', name: 'Delivery', step_order: 6, estimated_days: 1 }
+  ]
+};
+
+const createId = () =>
+  globalThis.crypto?.randomUUID
+    ? globalThis.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Falls back to an in-memory store where localStorage is unavailable (tests, private mode)
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+export const resolveStorage = () => {
+  try {
+    const storage = globalThis.localStorage;
+    const probe = `${STORAGE_PREFIX}probe`;
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+    return storage;
+  } catch {
+    return createMemoryStorage();
+  }
+};
+
+// Columns a row was stored without count as null, as they would in a database
+const matches = (row, match = {}) =>
+  Object.entries(match).every(([column, value]) =>
+    Array.isArray(value) ? value.includes(row[column]) : (row[column] ?? null) === value
+  );
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return a < b ? -1 : 1;
+};
+
+export const createLocalAdapter = ({ storage = resolveStorage(), seed = SEED_DATA } = {}) => {
+  const read = (table) => {
+    const raw = storage.getItem(STORAGE_PREFIX + table);
+    if (raw !== null) return JSON.parse(raw);
+    const now = new Date().toISOString();
+    const rows = (seed[table] || []).map(row => ({ id: createId(), created_at: now, ...row }));
+    write(table, rows);
+    return rows;
+  };
+
+  const write = (table, rows) => {
+    storage.setItem(STORAGE_PREFIX + table, JSON.stringify(rows));
+  };
+
+  // Stand-in for real sign-in during development and tests: any password is
+  // accepted and an account is made for each new email address. It keeps
+  // people apart in the activity log and the UI but protects nothing.
+  const sessionKey = `${STORAGE_PREFIX}session`;
+
+  const signIn = async (email) => {
+    const address = String(email || '').trim().toLowerCase();
+    if (!address) throw new Error('Enter an email address');
+    let user = read('auth_users').find(row => row.email === address);
+    if (!user) {
+      user = { id: createId(), email: address, created_at: new Date().toISOString() };
+      write('auth_users', [...read('auth_users'), user]);
+    }
+    storage.setItem(sessionKey, user.id);
+    return user;
+  };
+
+  return {
+    name: 'local',
+
+    auth: {
+      async getUser() {
+        const id = storage.getItem(sessionKey);
+        return id ? read('auth_users').find(user => user.id === id) || null : null;
+      },
+      signIn,
+      signUp: signIn,
+      async signOut() {
+        storage.removeItem(sessionKey);
+      }
+    },
+
+    // since: { column, value } keeps rows whose column is at or after value
+    async select(table, { match, order, since } = {}) {
+      const rows = read(table).filter(row => matches(row, match) &&
+        (!since || (row[since.column] != null && row[since.column] >= since.value)));
+      if (order) {
+        const direction = order.ascending === false ? -1 : 1;
+        rows.sort((a, b) => compare(a[order.column], b[order.column]) * direction);
+      }
+      return rows;
+    },
+
+    async insert(table, rows) {
+      const now = new Date().toISOString();
+      const inserted = rows.map(row => ({ id: createId(), created_at: now, ...row }));
+      write(table, [...read(table), ...inserted]);
+      return inserted;
+    },
+
+    async update(table, match, updates) {
+      const updated = [];
+      const rows = read(table).map(row => {
+        if (!matches(row, match)) return row;
+        const next = { ...row, ...updates };
+        updated.push(next);
+        return next;
+      });
+      write(table, rows);
+      return updated;
+    },
+
+    async remove(table, match) {
+      write(table, read(table).filter(row => !matches(row, match)));
+    },
+
+    // Picks up writes from other tabs. Storage events only say which table
+    // changed, so they arrive as type 'reload' without a row.
+    subscribe(tables, onChange) {
+      if (typeof window === 'undefined') return () => {};
+      const listener = (event) => {
+        const table = event.key?.startsWith(STORAGE_PREFIX) ? event.key.slice(STORAGE_PREFIX.length) : null;
+        if (tables.includes(table)) onChange({ table, type: 'reload' });
+      };
+      window.addEventListener('storage', listener);
+      return () => window.removeEventListener('storage', listener);
+    }
+  };
+};
@@ -0,0 +1,498 @@
+import { diffFields, TRACKED_PROJECT_FIELDS, TRACKED_STEP_FIELDS } from '../lib/activity';
+import { getNextVersion } from '../lib/assets';
+
+// Inserts a batch of steps, resolving depends_on keys to the ids the store assigned
+const insertSteps = async (adapter, table, steps, knownIds = new Map()) => {
+  const created = await adapter.insert(table, steps.map(({ key, depends_on, ...step }) => ({
+    ...step,
+    depends_on: Array.isArray(depends_on) ? [] : null
+  })));
+
+  const idByKey = new Map([...knownIds, ...steps.map((step, index) => [step.key, created[index].id])]);
+  await Promise.all(steps
+    .map((step, index) => ({ step, row: created[index] }))
+    .filter(({ step }) => Array.isArray(step.depends_on) && step.depends_on.length > 0)
+    .map(({ step, row }) => {
+      const depends_on = step.depends_on.map(key => idByKey.get(key)).filter(id => id !== undefined);
+      row.depends_on = depends_on;
+      return adapter.update(table, { id: row.id }, { depends_on });
+    }));
+
+  return created;
+};
+
+const now = () => new Date().toISOString();
+
+// Tables of records attached to a step, removed along with it
+const STEP_CHILD_TABLES = ['step_comments', 'revision_rounds', 'step_assets', 'generation_runs', 'time_entries'];
+
+// Tables whose changes are pushed to open clients
+const SYNCED_TABLES = [
+  'projects',
+  'project_steps',
+  'team_members',
+  'project_templates',
+  'workflow_templates',
+  'activity_log',
+  'step_comments',
+  'revision_rounds',
+  'step_assets',
+  'generation_runs',
+  'time_entries'
+];
+
+// Entries are signed with whoever is signed in, when anyone is
+const logActivity = (adapter, actor, entries) =>
+  (entries.length > 0
+    ? adapter.insert('activity_log', entries.map(entry => ({ ...entry, actor_id: actor?.id ?? null, actor_name: actor?.name ?? null })))
+    : Promise.resolve([]));
+
+// What a client share page receives, mirroring get_shared_project() in the database
+const toSharedProject = (project, steps, assets) => ({
+  id: project.id,
+  name: project.name,
+  client: project.client,
+  start_date: project.start_date,
+  end_date: project.end_date,
+  project_steps: steps.map(step => ({
+    id: step.id,
+    name: step.client_name?.trim() || step.name,
+    step_order: step.step_order,
+    status: step.status,
+    due_date: step.due_date,
+    assets: assets
+      .filter(asset => asset.step_id === step.id && asset.approved_at)
+      .map(({ id, label, version, url, approved_at }) => ({ id, label, version, url, approved_at }))
+  }))
+});
+
+// Entries keep the project and step names so the log still reads after a purge
+const projectEntry = (project, action, change = {}) =>
+  ({ project_id: project.id, project_name: project.name, action, ...change });
+
+// The account record for a signed-in user; the very first account becomes an admin
+const ensureAppUser = async (adapter, authUser) => {
+  const [existing] = await adapter.select('app_users', { match: { id: authUser.id } });
+  if (existing) return existing;
+  const others = await adapter.select('app_users');
+  const [created] = await adapter.insert('app_users', [{
+    id: authUser.id,
+    email: authUser.email,
+    role: others.length === 0 ? 'admin' : 'viewer',
+    member_id: null
+  }]);
+  return created;
+};
+
+// Domain operations shared by every backend; adapters provide table access and auth
+export const createRepository = (adapter) => {
+  // { id, name, member_id } of the signed-in user, stamped on activity and comments
+  let actor = null;
+
+  const repository = {
+    backend: adapter.name,
+
+    // The signed-in user's account, or null when nobody is signed in
+    async getCurrentUser() {
+      const authUser = await adapter.auth.getUser();
+      return authUser ? ensureAppUser(adapter, authUser) : null;
+    },
+
+    async signIn(email, password) {
+      return ensureAppUser(adapter, await adapter.auth.signIn(email, password));
+    },
+
+    async signUp(email, password) {
+      return ensureAppUser(adapter, await adapter.auth.signUp(email, password));
+    },
+
+    async signOut() {
+      actor = null;
+      await adapter.auth.signOut();
+    },
+
+    setActor(user) {
+      actor = user;
+    },
+
+    listAppUsers() {
+      return adapter.select('app_users', { order: { column: 'email' } });
+    },
+
+    // updates: { role, member_id }
+    async updateAppUser(id, updates) {
+      const [user] = await adapter.update('app_users', { id }, updates);
+      return user;
+    },
+
+    // onChange({ table, type, row, old }); returns the unsubscribe function
+    subscribe(onChange) {
+      return adapter.subscribe ? adapter.subscribe(SYNCED_TABLES, onChange) : () => {};
+    },
+
+    async listProjects() {
+      const [projects, steps, comments, rounds, assets, generations, timeEntries, shareLinks] = await Promise.all([
+        adapter.select('projects', { order: { column: 'created_at', ascending: false } }),
+        adapter.select('project_steps', { order: { column: 'step_order' } }),
+        adapter.select('step_comments', { order: { column: 'created_at' } }),
+        adapter.select('revision_rounds', { order: { column: 'round_number' } }),
+        adapter.select('step_assets', { order: { column: 'created_at' } }),
+        adapter.select('generation_runs', { order: { column: 'created_at' } }),
+        adapter.select('time_entries', { order: { column: 'date' } }),
+        // Only comes back for roles allowed to manage share links
+        adapter.select('project_share_links')
+      ]);
+
+      return projects.map(project => ({
+        ...project,
+        share_token: shareLinks.find(link => link.project_id === project.id)?.token ?? null,
+        project_steps: steps
+          .filter(step => step.project_id === project.id)
+          .map(step => ({
+            ...step,
+            comments: comments.filter(comment => comment.step_id === step.id),
+            revision_rounds: rounds.filter(round => round.step_id === step.id),
+            assets: assets.filter(asset => asset.step_id === step.id),
+            generations: generations.filter(run => run.step_id === step.id),
+            time_entries: timeEntries.filter(entry => entry.step_id === step.id)
+          }))
+      }));
+    },
+
+    // The client view behind a share link, or null if the link no longer works
+    async getSharedProject(token) {
+      if (!token) return null;
+      if (adapter.rpc) return (await adapter.rpc('get_shared_project', { token })) ?? null;
+
+      const [link] = await adapter.select('project_share_links', { match: { token } });
+      const [project] = link ? await adapter.select('projects', { match: { id: link.project_id, deleted_at: null } }) : [];
+      if (!project) return null;
+
+      const [steps, assets] = await Promise.all([
+        adapter.select('project_steps', { match: { project_id: project.id }, order: { column: 'step_order' } }),
+        adapter.select('step_assets', { match: { project_id: project.id }, order: { column: 'created_at' } })
+      ]);
+      return toSharedProject(project, steps, assets);
+    },
+
+    // A new token replaces the old link; null revokes it
+    async setShareToken(projectId, token) {
+      await adapter.remove('project_share_links', { project_id: projectId });
+      if (token) await adapter.insert('project_share_links', [{ project_id: projectId, token }]);
+    },
+
+    // Returns the project with its steps, as listProjects would
+    async createProject(project, steps) {
+      const [created] = await adapter.insert('projects', [project]);
+      const createdSteps = steps.length > 0
+        ? await insertSteps(adapter, 'project_steps', steps.map(step => ({ ...step, project_id: created.id })))
+        : [];
+      await logActivity(adapter, actor, [projectEntry(created, 'project_created')]);
+      return { ...created, share_token: null, project_steps: createdSteps };
+    },
+
+    async updateProject(id, updates) {
+      const [before] = await adapter.select('projects', { match: { id } });
+      const [project] = await adapter.update('projects', { id }, updates);
+      if (before) {
+        await logActivity(adapter, actor, diffFields(before, updates, TRACKED_PROJECT_FIELDS)
+          .map(change => projectEntry(project, 'project_updated', change)));
+      }
+      return project;
+    },
+
+    async updateProjectStep(stepId, updates) {
+      const [[step]] = await repository.updateProjectSteps([{ id: stepId, ...updates }]);
+      return step;
+    },
+
+    // changes: [{ id, ...updates }]; status, assignee and due date changes are logged
+    async updateProjectSteps(changes) {
+      if (changes.length === 0) return [];
+      const before = await adapter.select('project_steps', { match: { id: changes.map(({ id }) => id) } });
+      const projects = await adapter.select('projects', { match: { id: [...new Set(before.map(step => step.project_id))] } });
+      const updated = await Promise.all(changes.map(({ id, ...updates }) => adapter.update('project_steps', { id }, updates)));
+
+      await logActivity(adapter, actor, changes.flatMap(({ id, ...updates }) => {
+        const step = before.find(row => row.id === id);
+        if (!step) return [];
+        const project = projects.find(row => row.id === step.project_id) || { id: step.project_id };
+        return diffFields(step, updates, TRACKED_STEP_FIELDS).map(change => ({
+          ...projectEntry(project, 'step_updated', change),
+          step_id: step.id,
+          step_name: step.name
+        }));
+      }));
+      return updated;
+    },
+
+    // A step added to one project only, after its last step
+    async addProjectStep(project, step) {
+      const stepOrder = Math.max(0, ...(project.project_steps || []).map(other => other.step_order)) + 1;
+      const [created] = await adapter.insert('project_steps', [{
+        project_id: project.id,
+        template_step_id: null,
+        status: 'pending',
+        due_date: null,
+        depends_on: null,
+        assignee_ids: [],
+        ...step,
+        step_order: stepOrder
+      }]);
+      await logActivity(adapter, actor, [{ ...projectEntry(project, 'step_added'), step_id: created.id, step_name: created.name }]);
+      return created;
+    },
+
+    // Removes a step and everything attached to it from one project
+    async removeProjectStep(project, step) {
+      for (const table of STEP_CHILD_TABLES) {
+        await adapter.remove(table, { step_id: step.id });
+      }
+      await adapter.remove('project_steps', { id: step.id });
+      await Promise.all((project.project_steps || [])
+        .filter(other => (other.depends_on || []).includes(step.id))
+        .map(other => adapter.update('project_steps', { id: other.id }, {
+          depends_on: other.depends_on.filter(id => id !== step.id)
+        })));
+      if (step.template_step_id != null) {
+        await adapter.update('projects', { id: project.id }, {
+          removed_template_step_ids: [...(project.removed_template_step_ids || []), step.template_step_id]
+        });
+      }
+      await logActivity(adapter, actor, [{ ...projectEntry(project, 'step_removed'), step_id: step.id, step_name: step.name }]);
+    },
+
+    // Applies a plan from planTemplateSync and returns the added steps
+    async syncProjectSteps({ updates, inserts, removals, knownIds }) {
+      if (removals.length > 0) {
+        for (const table of STEP_CHILD_TABLES) {
+          await adapter.remove(table, { step_id: removals });
+        }
+        await adapter.remove('project_steps', { id: removals });
+      }
+      await repository.updateProjectSteps(updates);
+      return inserts.length > 0 ? insertSteps(adapter, 'project_steps', inserts, knownIds) : [];
+    },
+
+    // comment: { project_id, step_id, parent_id, from_client, body }
+    async addStepComment(comment) {
+      const [created] = await adapter.insert('step_comments', [{ ...comment, author_id: actor?.member_id ?? null }]);
+      return created;
+    },
+
+    async startRevisionRound(step) {
+      const roundNumber = Math.max(0, ...(step.revision_rounds || []).map(round => round.round_number)) + 1;
+      const [round] = await adapter.insert('revision_rounds', [{
+        project_id: step.project_id,
+        step_id: step.id,
+        round_number: roundNumber,
+        status: 'in-review'
+      }]);
+      return round;
+    },
+
+    // status: 'approved' or 'changes-requested'
+    async decideRevisionRound(step, round, status) {
+      const [updated] = await adapter.update('revision_rounds', { id: round.id }, { status, decided_at: now() });
+      const [project] = await adapter.select('projects', { match: { id: step.project_id } });
+      await logActivity(adapter, actor, [{
+        ...projectEntry(project || { id: step.project_id }, 'revision_decided', {
+          field: 'round',
+          from_value: round.round_number,
+          to_value: status
+        }),
+        step_id: step.id,
+        step_name: step.name
+      }]);
+      return updated;
+    },
+
+    // asset: { label, url, note, uploaded_by }; the new version becomes current
+    async addStepAsset(step, asset) {
+      await adapter.update('step_assets', { step_id: step.id, label: asset.label }, { is_current: false });
+      const [created] = await adapter.insert('step_assets', [{
+        ...asset,
+        project_id: step.project_id,
+        step_id: step.id,
+        version: getNextVersion(step, asset.label),
+        is_current: true,
+        approved_at: null
+      }]);
+      return created;
+    },
+
+    async setCurrentAsset(asset) {
+      await adapter.update('step_assets', { step_id: asset.step_id, label: asset.label }, { is_current: false });
+      const [updated] = await adapter.update('step_assets', { id: asset.id }, { is_current: true });
+      return updated;
+    },
+
+    // Approving a version also makes it the current one
+    async approveAsset(step, asset) {
+      await repository.setCurrentAsset(asset);
+      const [updated] = await adapter.update('step_assets', { id: asset.id }, { approved_at: now() });
+      const [project] = await adapter.select('projects', { match: { id: step.project_id } });
+      await logActivity(adapter, actor, [{
+        ...projectEntry(project || { id: step.project_id }, 'asset_approved', {
+          field: asset.label,
+          to_value: asset.version
+        }),
+        step_id: step.id,
+        step_name: step.name
+      }]);
+      return updated;
+    },
+
+    // run: { model, prompt, negative_prompt, seed, settings, duration_seconds, credits, output_urls }
+    async addGenerationRun(step, run) {
+      const [created] = await adapter.insert('generation_runs', [{
+        ...run,
+        project_id: step.project_id,
+        step_id: step.id
+      }]);
+      return created;
+    },
+
+    // entry: { member_id, date, hours, note }
+    async addTimeEntry(step, entry) {
+      const [created] = await adapter.insert('time_entries', [{
+        ...entry,
+        project_id: step.project_id,
+        step_id: step.id
+      }]);
+      return created;
+    },
+
+    removeTimeEntry(id) {
+      return adapter.remove('time_entries', { id });
+    },
+
+    // Rows of one table by id, as the store holds them
+    getRows(table, ids) {
+      return ids.length > 0 ? adapter.select(table, { match: { id: ids } }) : Promise.resolve([]);
+    },
+
+    // Newest first; with since, only entries logged at or after that time
+    listActivity({ since } = {}) {
+      return adapter.select('activity_log', {
+        order: { column: 'created_at', ascending: false },
+        since: since ? { column: 'created_at', value: since } : undefined
+      });
+    },
+
+    // Trashed projects stay in listProjects (flagged by deleted_at) until purged
+    async trashProject(id) {
+      const project = await repository.updateProject(id, { deleted_at: now() });
+      await logActivity(adapter, actor, [projectEntry(project, 'project_trashed')]);
+      return project;
+    },
+
+    async restoreProject(id) {
+      const project = await repository.updateProject(id, { deleted_at: null });
+      await logActivity(adapter, actor, [projectEntry(project, 'project_restored')]);
+      return project;
+    },
+
+    archiveProject(id) {
+      return repository.updateProject(id, { archived_at: now() });
+    },
+
+    unarchiveProject(id) {
+      return repository.updateProject(id, { archived_at: null });
+    },
+
+    // Permanent; only offered from the trash. The project's activity is kept.
+    async deleteProject(projectId) {
+      const [project] = await adapter.select('projects', { match: { id: projectId } });
+      for (const table of STEP_CHILD_TABLES) {
+        await adapter.remove(table, { project_id: projectId });
+      }
+      await adapter.remove('project_steps', { project_id: projectId });
+      await adapter.remove('project_share_links', { project_id: projectId });
+      await adapter.remove('projects', { id: projectId });
+      if (project) await logActivity(adapter, actor, [projectEntry(project, 'project_deleted')]);
+    },
+
+    listTeamMembers() {
+      return adapter.select('team_members', { match: { deleted_at: null }, order: { column: 'name' } });
+    },
+
+    async addTeamMember(member) {
+      const [created] = await adapter.insert('team_members', [member]);
+      return created;
+    },
+
+    async updateTeamMember(id, updates) {
+      const [member] = await adapter.update('team_members', { id }, updates);
+      return member;
+    },
+
+    // Members, templates and template steps are soft-deleted so removals can be undone
+    removeTeamMember(id) {
+      return repository.updateTeamMember(id, { deleted_at: now() });
+    },
+
+    restoreTeamMember(id) {
+      return repository.updateTeamMember(id, { deleted_at: null });
+    },
+
+    async listTemplates() {
+      const [templates, steps] = await Promise.all([
+        adapter.select('project_templates', { match: { deleted_at: null }, order: { column: 'name' } }),
+        adapter.select('workflow_templates', { match: { deleted_at: null }, order: { column: 'step_order' } })
+      ]);
+
+      return templates.map(template => ({
+        ...template,
+        steps: steps.filter(step => step.template_id === template.id)
+      }));
+    },
+
+    // Returns the template with its steps, as listTemplates would
+    async createTemplate(template, steps = []) {
+      const [created] = await adapter.insert('project_templates', [template]);
+      const createdSteps = steps.length > 0
+        ? await insertSteps(adapter, 'workflow_templates', steps.map(step => ({ ...step, template_id: created.id })))
+        : [];
+      return { ...created, steps: createdSteps };
+    },
+
+    async updateTemplate(id, updates) {
+      const [template] = await adapter.update('project_templates', { id }, updates);
+      return template;
+    },
+
+    removeTemplate(id) {
+      return repository.updateTemplate(id, { deleted_at: now() });
+    },
+
+    restoreTemplate(id) {
+      return repository.updateTemplate(id, { deleted_at: null });
+    },
+
+    async addWorkflowStep(step) {
+      const [created] = await adapter.insert('workflow_templates', [step]);
+      return created;
+    },
+
+    // changes: [{ id, ...updates }], e.g. new step_order values after a reorder
+    updateWorkflowSteps(changes) {
+      return Promise.all(changes.map(({ id, ...updates }) => repository.updateWorkflowStep(id, updates)));
+    },
+
+    async updateWorkflowStep(id, updates) {
+      const [step] = await adapter.update('workflow_templates', { id }, updates);
+      return step;
+    },
+
+    removeWorkflowStep(id) {
+      return repository.updateWorkflowStep(id, { deleted_at: now() });
+    },
+
+    restoreWorkflowStep(id) {
+      return repository.updateWorkflowStep(id, { deleted_at: null });
+    }
+  };
+
+  return repository;
+};
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { createLocalAdapter } from './localAdapter';
+import { createRepository } from './repository';
+
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const setup = async () => {
+  const repository = createRepository(createLocalAdapter({ storage: createMemoryStorage(), seed: {} }));
+  const project = await repository.createProject({
+    name: 'Promo', client: 'Acme', start_date: '2026-10-19', end_date: '2026-10-30', budget: 5000, description: 'Internal notes'
+  }, [
+    { key: 'a', name: 'Rough cut v3', client_name: 'First edit', step_order: 1, status: 'completed', assignee_ids: ['m1'], depends_on: [] },
+    { key: 'b', name: 'Grade', step_order: 2, status: 'pending', due_date: '2026-10-28', assignee_ids: ['m1'], depends_on: ['a'] }
+  ]);
+  return { repository, project };
+};
+
+describe('share links', () => {
+  it('returns only client-facing fields for a valid token', async () => {
+    const { repository, project } = await setup();
+    const [step] = (await repository.listProjects())[0].project_steps;
+    await repository.addStepAsset(step, { label: 'Cut', url: 'https://example.com/draft', note: 'do not send', uploaded_by: 'm1' });
+    const approved = await repository.addStepAsset(step, { label: 'Cut', url: 'https://example.com/final', note: 'ok', uploaded_by: 'm1' });
+    await repository.approveAsset(step, approved);
+    await repository.setShareToken(project.id, 'secret');
+
+    const shared = await repository.getSharedProject('secret');
+    expect(Object.keys(shared).sort()).toEqual(['client', 'end_date', 'id', 'name', 'project_steps', 'start_date']);
+    expect(shared.project_steps.map(({ name, status }) => [name, status])).toEqual([['First edit', 'completed'], ['Grade', 'pending']]);
+    expect(Object.keys(shared.project_steps[0]).sort()).toEqual(['assets', 'due_date', 'id', 'name', 'status', 'step_order']);
+    expect(shared.project_steps[0].assets.map(asset => asset.url)).toEqual(['https://example.com/final']);
+    expect(shared.project_steps[0].assets[0]).not.toHaveProperty('note');
+  });
+
+  it('stops working once the link is regenerated, revoked or the project trashed', async () => {
+    const { repository, project } = await setup();
+    await repository.setShareToken(project.id, 'first');
+    await repository.setShareToken(project.id, 'second');
+    expect(await repository.getSharedProject('first')).toBeNull();
+    expect((await repository.listProjects())[0].share_token).toBe('second');
+
+    await repository.trashProject(project.id);
+    expect(await repository.getSharedProject('second')).toBeNull();
+
+    await repository.restoreProject(project.id);
+    await repository.setShareToken(project.id, null);
+    expect(await repository.getSharedProject('second')).toBeNull();
+    expect((await repository.listProjects())[0].share_token).toBeNull();
+  });
+});
+
+describe('listActivity', () => {
+  it('returns only entries logged at or after since', async () => {
+    const { repository, project } = await setup();
+    const [created] = await repository.listActivity();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await repository.updateProject(project.id, { end_date: '2026-11-06' });
+
+    const all = await repository.listActivity();
+    expect(all.map(entry => entry.action)).toEqual(['project_updated', 'project_created']);
+    const since = await repository.listActivity({ since: all[0].created_at });
+    expect(since.map(entry => entry.id)).toEqual([all[0].id]);
+    expect(await repository.listActivity({ since: created.created_at })).toHaveLength(2);
+  });
+});
+
+describe('addStepComment', () => {
+  it('signs comments with the signed-in member, whatever author is passed', async () => {
+    const { repository, project } = await setup();
+    const [step] = (await repository.listProjects())[0].project_steps;
+    repository.setActor({ id: 'u1', name: 'Ann', member_id: 'm1' });
+
+    const comment = await repository.addStepComment({
+      project_id: project.id, step_id: step.id, parent_id: null, author_id: 'm2', from_client: true, body: 'Looks great'
+    });
+    expect(comment).toMatchObject({ author_id: 'm1', from_client: true });
+  });
+});
+
+describe('created records', () => {
+  it('come back with their steps so they can be added to state without a reload', async () => {
+    const { repository, project } = await setup();
+    const [listed] = await repository.listProjects();
+    expect(project.project_steps.map(step => step.id)).toEqual(listed.project_steps.map(step => step.id));
+    expect(project.project_steps[1].depends_on).toEqual([project.project_steps[0].id]);
+
+    const template = await repository.createTemplate({ name: 'Short' }, [
+      { key: 'a', name: 'Script', step_order: 1, estimated_days: 1, depends_on: null }
+    ]);
+    expect(template.steps.map(step => step.name)).toEqual(['Script']);
+    expect(await repository.getRows('workflow_templates', [template.steps[0].id])).toEqual(template.steps);
+  });
+});
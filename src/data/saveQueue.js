@@ -0,0 +1,215 @@
+import { STORAGE_PREFIX, resolveStorage } from './localAdapter';
+
+// Each account keeps its own unsaved edits, so whoever signs in next on the
+// same browser doesn't send them
+const pendingKeyFor = (userId) => (userId == null ? null : `${STORAGE_PREFIX}pending-saves:${userId}`);
+
+// Edits to one record that arrive within this window are saved together
+const DEBOUNCE_MS = 800;
+
+// Failed saves are retried with a doubling delay, and straight away when
+// the browser comes back online
+const RETRY_MS = 5000;
+const MAX_RETRY_MS = 60000;
+
+const keyOf = (table, id) => `${table}:${id}`;
+
+// SQLSTATE classes worth retrying: connection trouble, serialization
+// failures and deadlocks, an overloaded or restarting server
+const TRANSIENT_SQLSTATE_CLASSES = ['08', '40', '53', '57', '58'];
+
+// Whether a failed save might succeed if tried again. Errors without a code
+// (a dropped connection, a failed fetch) are; errors the database rejected
+// the data with (bad values, constraints, permissions, unknown columns) will
+// fail the same way every time. PostgREST's own PGRST0xx (can't reach the
+// database) and PGRST3xx (expired token, refreshed on the next request) are
+// transient too.
+export const isTransientError = (err) => {
+  const code = typeof err?.code === 'string' ? err.code : '';
+  if (err?.permanent) return false;
+  if (code === '') return true;
+  if (/^PGRST[03]/.test(code)) return true;
+  return TRANSIENT_SQLSTATE_CLASSES.includes(code.slice(0, 2));
+};
+
+// Queue for inline edits (names, days, dates typed into inputs). Updates are
+// coalesced per record and written after a pause, so typing doesn't cost a
+// request per keystroke. Unsaved updates are kept in localStorage until they
+// succeed, so they survive both a dropped connection and a reload.
+// Updates the store rejects outright are set aside instead of retried, so
+// they can't hold up later edits to the same record; they are reported
+// until discarded and aren't kept across reloads.
+//
+// savers: { [table]: (id, updates) => Promise } doing the actual write
+// userId: the signed-in account; with none, edits are only kept in memory
+export const createSaveQueue = ({ savers, storage = resolveStorage(), delay = DEBOUNCE_MS, userId = null } = {}) => {
+  const pending = new Map();
+  const inFlight = new Map();
+  const rejected = new Map();
+  const timers = new Map();
+  const listeners = new Set();
+  let retryTimer = null;
+  let retryDelay = RETRY_MS;
+  let lastError = null;
+  let hasSaved = false;
+  let pendingKey = pendingKeyFor(userId);
+  // Bumped when the user changes, so saves started for the previous one
+  // don't touch the new user's queue when they finish
+  let generation = 0;
+
+  const persist = () => {
+    if (!pendingKey) return;
+    const entries = [...inFlight.values(), ...pending.values()];
+    if (entries.length) storage.setItem(pendingKey, JSON.stringify(entries));
+    else storage.removeItem(pendingKey);
+  };
+
+  // Writes left over from a previous session go out on the first flush
+  const restore = () => {
+    if (!pendingKey) return;
+    try {
+      JSON.parse(storage.getItem(pendingKey) || '[]')
+        .forEach(entry => pending.set(keyOf(entry.table, entry.id), entry));
+    } catch {
+      storage.removeItem(pendingKey);
+    }
+  };
+
+  // rejected: updates the store refused, as [{ table, id, updates, error }]
+  const getStatus = () => {
+    const count = new Set([...pending.keys(), ...inFlight.keys()]).size;
+    const rejectedEntries = [...rejected.values()];
+    if (rejectedEntries.length) return { state: 'rejected', pending: count, error: rejectedEntries[0].error, rejected: rejectedEntries };
+    if (count && lastError) return { state: 'failed', pending: count, error: lastError, rejected: [] };
+    if (count) return { state: 'saving', pending: count, error: null, rejected: [] };
+    return { state: hasSaved ? 'saved' : 'idle', pending: 0, error: null, rejected: [] };
+  };
+
+  const notify = () => {
+    const status = getStatus();
+    listeners.forEach(listener => listener(status));
+  };
+
+  // Puts updates back in front of anything typed while they were in flight
+  const requeue = (key, entry) => {
+    const newer = pending.get(key);
+    pending.set(key, { ...entry, updates: { ...entry.updates, ...newer?.updates } });
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => queue.flush(), retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+  };
+
+  const saveEntry = async (key) => {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+    // One write per record at a time; later edits wait for the next round
+    if (inFlight.has(key) || !pending.has(key)) return;
+    const entry = pending.get(key);
+    pending.delete(key);
+    inFlight.set(key, entry);
+    notify();
+    const started = generation;
+
+    try {
+      const save = savers[entry.table];
+      if (!save) throw Object.assign(new Error(`No saver for "${entry.table}"`), { permanent: true });
+      await save(entry.id, entry.updates);
+      if (started !== generation) return;
+      inFlight.delete(key);
+      lastError = null;
+      hasSaved = true;
+      retryDelay = RETRY_MS;
+      if (pending.has(key)) schedule(key);
+    } catch (err) {
+      if (started !== generation) return;
+      inFlight.delete(key);
+      if (isTransientError(err)) {
+        requeue(key, entry);
+        lastError = err.message;
+        scheduleRetry();
+      } else {
+        rejected.set(key, { ...entry, error: err.message });
+        if (pending.has(key)) schedule(key);
+      }
+    }
+    persist();
+    notify();
+  };
+
+  const schedule = (key) => {
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => saveEntry(key), delay));
+  };
+
+  const queue = {
+    enqueue(table, id, updates) {
+      const key = keyOf(table, id);
+      const existing = pending.get(key);
+      pending.set(key, { table, id, updates: { ...existing?.updates, ...updates } });
+      persist();
+      schedule(key);
+      notify();
+    },
+
+    // Saves everything now, e.g. on retry or when the connection returns
+    async flush() {
+      clearTimeout(retryTimer);
+      await Promise.all([...pending.keys()].map(saveEntry));
+    },
+
+    // Updates not yet confirmed by the store, as [{ id, ...updates }], so
+    // freshly loaded rows can be shown with the user's edits on top
+    getPending(table) {
+      return [...inFlight.values(), ...pending.values()]
+        .filter(entry => entry.table === table)
+        .map(entry => ({ id: entry.id, ...entry.updates }));
+    },
+
+    getStatus,
+
+    // Forgets rejected updates once the user has seen them. Returns them as
+    // [{ table, id, updates, error }] so the records can be reloaded.
+    discardRejected() {
+      const discarded = [...rejected.values()];
+      rejected.clear();
+      notify();
+      return discarded;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Switches to another account's edits (null when signed out). The
+    // previous user's unsaved edits stay in storage until they sign in again.
+    setUser(nextUserId) {
+      const nextKey = pendingKeyFor(nextUserId);
+      if (nextKey === pendingKey) return;
+      generation += 1;
+      timers.forEach(clearTimeout);
+      timers.clear();
+      clearTimeout(retryTimer);
+      pending.clear();
+      inFlight.clear();
+      rejected.clear();
+      retryDelay = RETRY_MS;
+      lastError = null;
+      hasSaved = false;
+      pendingKey = nextKey;
+      restore();
+      notify();
+    }
+  };
+
+  restore();
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => queue.flush());
+  }
+
+  return queue;
+};
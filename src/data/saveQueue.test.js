@@ -0,0 +1,135 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createSaveQueue, isTransientError } from './saveQueue';
+
+const createStorage = (items = {}) => ({
+  items,
+  getItem: (key) => (key in items ? items[key] : null),
+  setItem: (key, value) => { items[key] = String(value); },
+  removeItem: (key) => { delete items[key]; }
+});
+
+const PENDING_KEY = 'ai-video-tracker:pending-saves:u1';
+
+describe('createSaveQueue', () => {
+  it('coalesces edits to one record into a single save', async () => {
+    const save = vi.fn().mockResolvedValue();
+    const queue = createSaveQueue({ savers: { project_steps: save }, storage: createStorage(), userId: 'u1', delay: 10_000 });
+    queue.enqueue('project_steps', 1, { name: 'Scr' });
+    queue.enqueue('project_steps', 1, { name: 'Script', estimated_days: 2 });
+    expect(queue.getPending('project_steps')).toEqual([{ id: 1, name: 'Script', estimated_days: 2 }]);
+    await queue.flush();
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(save).toHaveBeenCalledWith(1, { name: 'Script', estimated_days: 2 });
+    expect(queue.getStatus()).toEqual({ state: 'saved', pending: 0, error: null, rejected: [] });
+  });
+
+  it('keeps unsaved edits in storage and picks them up again', async () => {
+    const storage = createStorage();
+    const first = createSaveQueue({ savers: {}, storage, userId: 'u1', delay: 10_000 });
+    first.enqueue('project_steps', 1, { name: 'Script' });
+    expect(JSON.parse(storage.items[PENDING_KEY])).toEqual([{ table: 'project_steps', id: 1, updates: { name: 'Script' } }]);
+
+    const save = vi.fn().mockResolvedValue();
+    const second = createSaveQueue({ savers: { project_steps: save }, storage, userId: 'u1', delay: 10_000 });
+    await second.flush();
+    expect(save).toHaveBeenCalledWith(1, { name: 'Script' });
+    expect(storage.items[PENDING_KEY]).toBeUndefined();
+  });
+
+  it('keeps each user\'s unsaved edits to themselves', async () => {
+    const storage = createStorage();
+    const save = vi.fn().mockResolvedValue();
+    const queue = createSaveQueue({ savers: { project_steps: save }, storage, userId: 'u1', delay: 10_000 });
+    queue.enqueue('project_steps', 1, { name: 'Script' });
+
+    queue.setUser('u2');
+    expect(queue.getPending('project_steps')).toEqual([]);
+    await queue.flush();
+    expect(save).not.toHaveBeenCalled();
+
+    queue.setUser('u1');
+    await queue.flush();
+    expect(save).toHaveBeenCalledWith(1, { name: 'Script' });
+    expect(storage.items[PENDING_KEY]).toBeUndefined();
+  });
+
+  it('notifies subscribers of status changes', async () => {
+    const queue = createSaveQueue({ savers: { project_steps: vi.fn().mockResolvedValue() }, storage: createStorage(), userId: 'u1', delay: 10_000 });
+    const states = [];
+    queue.subscribe(status => states.push(status.state));
+    queue.enqueue('project_steps', 1, { name: 'Script' });
+    await queue.flush();
+    expect(states).toEqual(['saving', 'saving', 'saved']);
+  });
+
+  it('retries transient failures with the edits made in the meantime', async () => {
+    vi.useFakeTimers();
+    try {
+      const save = vi.fn()
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValue();
+      const storage = createStorage();
+      const queue = createSaveQueue({ savers: { project_steps: save }, storage, userId: 'u1', delay: 10 });
+      queue.enqueue('project_steps', 1, { name: 'Script' });
+      await queue.flush();
+      expect(queue.getStatus()).toMatchObject({ state: 'failed', pending: 1, error: 'Failed to fetch' });
+      expect(storage.items[PENDING_KEY]).toBeDefined();
+
+      queue.enqueue('project_steps', 1, { estimated_days: 2 });
+      await vi.runAllTimersAsync();
+      expect(save).toHaveBeenLastCalledWith(1, { name: 'Script', estimated_days: 2 });
+      expect(queue.getStatus().state).toBe('saved');
+      expect(storage.items[PENDING_KEY]).toBeUndefined();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('sets rejected updates aside so later edits to the record still save', async () => {
+    vi.useFakeTimers();
+    try {
+      const invalidDate = Object.assign(new Error('invalid input syntax for type date: ""'), { code: '22007' });
+      const save = vi.fn().mockRejectedValueOnce(invalidDate).mockResolvedValue();
+      const storage = createStorage();
+      const queue = createSaveQueue({ savers: { project_steps: save }, storage, userId: 'u1', delay: 10 });
+      queue.enqueue('project_steps', 1, { due_date: '' });
+      await queue.flush();
+
+      expect(queue.getStatus()).toMatchObject({
+        state: 'rejected',
+        pending: 0,
+        rejected: [{ table: 'project_steps', id: 1, updates: { due_date: '' }, error: invalidDate.message }]
+      });
+      expect(queue.getPending('project_steps')).toEqual([]);
+      expect(storage.items[PENDING_KEY]).toBeUndefined();
+
+      queue.enqueue('project_steps', 1, { name: 'Script' });
+      await vi.runAllTimersAsync();
+      expect(save).toHaveBeenCalledTimes(2);
+      expect(save).toHaveBeenLastCalledWith(1, { name: 'Script' });
+
+      expect(queue.discardRejected().map(({ table, id }) => [table, id])).toEqual([['project_steps', 1]]);
+      expect(queue.getStatus().state).toBe('saved');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('isTransientError', () => {
+  it('retries connection problems and overloaded servers', () => {
+    expect(isTransientError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isTransientError({ code: '', message: 'TypeError: Failed to fetch' })).toBe(true);
+    expect(isTransientError({ code: '08006' })).toBe(true);
+    expect(isTransientError({ code: '40001' })).toBe(true);
+    expect(isTransientError({ code: 'PGRST301' })).toBe(true);
+  });
+
+  it('gives up on data the store rejects', () => {
+    expect(isTransientError({ code: '22007' })).toBe(false);
+    expect(isTransientError({ code: '23505' })).toBe(false);
+    expect(isTransientError({ code: '42501' })).toBe(false);
+    expect(isTransientError({ code: 'PGRST204' })).toBe(false);
+    expect(isTransientError({ permanent: true })).toBe(false);
+  });
+});
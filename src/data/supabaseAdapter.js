@@ -0,0 +1,85 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Narrows a query with equality filters; array values become `in` filters
+// and null becomes `is null`
+const applyMatch = (query, match = {}) =>
+  Object.entries(match).reduce((q, [column, value]) => {
+    if (Array.isArray(value)) return q.in(column, value);
+    if (value === null) return q.is(column, null);
+    return q.eq(column, value);
+  }, query);
+
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+export const createSupabaseAdapter = (url, key) => {
+  if (!url || !key) {
+    throw new Error('Missing Supabase environment variables. Please check your .env file and Netlify configuration.');
+  }
+
+  const supabase = createClient(url, key);
+
+  return {
+    name: 'supabase',
+
+    auth: {
+      async getUser() {
+        return unwrap(await supabase.auth.getSession()).session?.user ?? null;
+      },
+      async signIn(email, password) {
+        return unwrap(await supabase.auth.signInWithPassword({ email, password })).user;
+      },
+      // With email confirmation on, the account exists but has no session yet
+      async signUp(email, password) {
+        const { user, session } = unwrap(await supabase.auth.signUp({ email, password }));
+        if (!session) throw new Error('Check your email to confirm the account, then sign in');
+        return user;
+      },
+      async signOut() {
+        unwrap(await supabase.auth.signOut());
+      }
+    },
+
+    async select(table, { match, order, since } = {}) {
+      let query = applyMatch(supabase.from(table).select('*'), match);
+      if (since) query = query.gte(since.column, since.value);
+      if (order) query = query.order(order.column, { ascending: order.ascending !== false });
+      return unwrap(await query) || [];
+    },
+
+    async insert(table, rows) {
+      return unwrap(await supabase.from(table).insert(rows).select()) || [];
+    },
+
+    async update(table, match, updates) {
+      return unwrap(await applyMatch(supabase.from(table).update(updates), match).select()) || [];
+    },
+
+    async remove(table, match) {
+      unwrap(await applyMatch(supabase.from(table).delete(), match));
+    },
+
+    // Calls a database function, e.g. one that returns a filtered view of rows
+    async rpc(name, params) {
+      return unwrap(await supabase.rpc(name, params));
+    },
+
+    // Calls onChange({ table, type, row, old }) for every insert, update and
+    // delete on the given tables; returns a function that unsubscribes
+    subscribe(tables, onChange) {
+      const channel = tables.reduce(
+        (ch, table) => ch.on('postgres_changes', { event: '*', schema: 'public', table }, payload => onChange({
+          table,
+          type: payload.eventType.toLowerCase(),
+          row: payload.new,
+          old: payload.old
+        })),
+        supabase.channel('tracker-changes')
+      );
+      channel.subscribe();
+      return () => supabase.removeChannel(channel);
+    }
+  };
+};
@@ -0,0 +1,63 @@
+import { getMemberName } from './team';
+
+// Fields whose changes are worth an activity entry, per record type
+export const TRACKED_STEP_FIELDS = ['status', 'assignee_ids', 'due_date'];
+export const TRACKED_PROJECT_FIELDS = ['start_date', 'end_date'];
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// One entry per tracked field that `updates` actually changes on `before`
+export const diffFields = (before, updates, fields) =>
+  fields
+    .filter(field => field in updates && !isSameValue(before[field], updates[field]))
+    .map(field => ({ field, from_value: before[field] ?? null, to_value: updates[field] ?? null }));
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  'in-progress': 'In Progress',
+  completed: 'Completed',
+  blocked: 'Blocked'
+};
+
+const FIELD_LABELS = {
+  due_date: 'due date',
+  start_date: 'start date',
+  end_date: 'end date'
+};
+
+const formatAssigneeList = (ids, teamMembers) =>
+  ids && ids.length > 0 ? ids.map(id => getMemberName(teamMembers, id)).join(', ') : 'nobody';
+
+const describeChange = ({ field, from_value, to_value }, teamMembers) => {
+  if (field === 'status') {
+    return `from ${STATUS_LABELS[from_value] || from_value} to ${STATUS_LABELS[to_value] || to_value}`;
+  }
+  if (field === 'assignee_ids') {
+    return `from ${formatAssigneeList(from_value, teamMembers)} to ${formatAssigneeList(to_value, teamMembers)}`;
+  }
+  return `from ${from_value || 'none'} to ${to_value || 'none'}`;
+};
+
+// Human-readable sentence for an entry, without the project name
+export const describeActivity = (entry, teamMembers = []) => {
+  switch (entry.action) {
+    case 'project_created': return 'Project created';
+    case 'project_trashed': return 'Project moved to trash';
+    case 'project_restored': return 'Project restored from trash';
+    case 'project_deleted': return 'Project permanently deleted';
+    case 'project_updated':
+      return `Project ${FIELD_LABELS[entry.field] || entry.field} changed ${describeChange(entry, teamMembers)}`;
+    case 'revision_decided':
+      return `${entry.step_name} round ${entry.from_value}: ${entry.to_value === 'approved' ? 'approved' : 'changes requested'}`;
+    case 'step_added': return `${entry.step_name} step added`;
+    case 'step_removed': return `${entry.step_name} step removed`;
+    case 'asset_approved':
+      return `${entry.step_name}: ${entry.field} v${entry.to_value} approved`;
+    case 'step_updated':
+      if (entry.field === 'assignee_ids') {
+        return `${entry.step_name} reassigned ${describeChange(entry, teamMembers)}`;
+      }
+      return `${entry.step_name} ${FIELD_LABELS[entry.field] || entry.field} changed ${describeChange(entry, teamMembers)}`;
+    default: return entry.action;
+  }
+};
@@ -0,0 +1,160 @@
+import { addDays, isWeekend } from './dates';
+import { getAssigneeIds } from './team';
+
+// Production analytics. Status changes are already recorded in the activity
+// log (step_updated entries for the status field), so step timings are
+// rebuilt from it rather than stored separately. Steps that changed status
+// before the log existed simply have no timings.
+
+const toDate = (timestamp) => timestamp.slice(0, 10);
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Working days from one date to another, both counted, so a step started and
+// finished on the same day took one day, in the same unit as estimated_days
+export const countWorkingDays = (from, to, skipWeekends = true) => {
+  let days = 0;
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (!skipWeekends || !isWeekend(date)) days++;
+  }
+  return days;
+};
+
+// { [stepId]: [{ from, to, at }] } in the order the changes happened
+export const getStatusHistory = (activity) => {
+  const history = {};
+  activity
+    .filter(entry => entry.action === 'step_updated' && entry.field === 'status' && entry.step_id)
+    .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+    .forEach(entry => {
+      history[entry.step_id] = [...(history[entry.step_id] || []), { from: entry.from_value, to: entry.to_value, at: entry.created_at }];
+    });
+  return history;
+};
+
+// When a step was first picked up and when it was (last) completed. Steps
+// that went straight from pending to completed have no start and no cycle time.
+export const getStepTiming = (step, history, skipWeekends = true) => {
+  const changes = history[step.id] || [];
+  const started = changes.find(change => change.to === 'in-progress' || change.to === 'blocked');
+  const completed = step.status === 'completed' ? changes.filter(change => change.to === 'completed').slice(-1)[0] : null;
+  return {
+    startedAt: started?.at ?? null,
+    completedAt: completed?.at ?? null,
+    cycleDays: started && completed && completed.at >= started.at
+      ? countWorkingDays(toDate(started.at), toDate(completed.at), skipWeekends)
+      : null,
+    blockedCount: changes.filter(change => change.to === 'blocked').length
+  };
+};
+
+const getTimings = (projects, history) =>
+  projects.flatMap(project => (project.project_steps || []).map(step => ({
+    project,
+    step,
+    ...getStepTiming(step, history, project.skip_weekends !== false)
+  })));
+
+// A project is complete once every step is; it completed when its last step did
+export const getCompletedProjects = (projects, history) =>
+  projects
+    .filter(project => (project.project_steps || []).length > 0 && project.project_steps.every(step => step.status === 'completed'))
+    .map(project => {
+      const times = project.project_steps.map(step => getStepTiming(step, history).completedAt).filter(Boolean);
+      const completedAt = times.length > 0 ? times.sort().slice(-1)[0] : null;
+      return {
+        project,
+        completedAt,
+        onTime: completedAt && project.end_date ? toDate(completedAt) <= project.end_date : null
+      };
+    });
+
+// The last `months` calendar months, oldest first, ending with the one containing `today`
+export const getThroughputByMonth = (completedProjects, today, months = 6) => {
+  const [year, month] = today.split('-').map(Number);
+  return Array.from({ length: months }, (_, index) => {
+    const date = new Date(Date.UTC(year, month - 1 - (months - 1 - index), 1));
+    const key = date.toISOString().slice(0, 7);
+    return {
+      month: key,
+      label: date.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+      count: completedProjects.filter(({ completedAt }) => completedAt?.slice(0, 7) === key).length
+    };
+  });
+};
+
+// Average working days per step name against the estimate it was planned
+// with: the template step's estimated_days where the step came from one
+export const getCycleTimeByStep = (projects, history, templates) => {
+  const templateSteps = templates.flatMap(template => template.steps || []);
+  const groups = new Map();
+  getTimings(projects, history)
+    .filter(({ cycleDays }) => cycleDays !== null)
+    .forEach(({ step, cycleDays }) => {
+      const estimate = templateSteps.find(templateStep => templateStep.id === step.template_step_id)?.estimated_days ?? step.estimated_days;
+      const group = groups.get(step.name) || { name: step.name, cycles: [], estimates: [] };
+      group.cycles.push(cycleDays);
+      if (estimate) group.estimates.push(Number(estimate));
+      groups.set(step.name, group);
+    });
+
+  return [...groups.values()]
+    .map(({ name, cycles, estimates }) => {
+      const averageDays = average(cycles);
+      const estimatedDays = average(estimates);
+      return {
+        name,
+        count: cycles.length,
+        averageDays,
+        estimatedDays,
+        // Above 1 means the stage takes longer than planned
+        ratio: estimatedDays ? averageDays / estimatedDays : null
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Step names ranked by how often they were blocked, including steps blocked
+// right now whose history predates the log
+export const getMostBlockedSteps = (projects, history, limit = 5) => {
+  const counts = new Map();
+  getTimings(projects, history).forEach(({ step, blockedCount }) => {
+    const count = Math.max(blockedCount, step.status === 'blocked' ? 1 : 0);
+    if (count === 0) return;
+    const group = counts.get(step.name) || { name: step.name, count: 0, current: 0 };
+    group.count += count;
+    if (step.status === 'blocked') group.current++;
+    counts.set(step.name, group);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)).slice(0, limit);
+};
+
+// Completed steps per member, and how many of those with a known completion
+// date and a due date were finished by it
+export const getMemberCompletions = (projects, history, teamMembers) =>
+  teamMembers
+    .map(member => {
+      const completed = projects.flatMap(project => project.project_steps || [])
+        .filter(step => step.status === 'completed' && getAssigneeIds(step).includes(member.id));
+      const dated = completed
+        .map(step => ({ step, completedAt: getStepTiming(step, history).completedAt }))
+        .filter(({ step, completedAt }) => completedAt && step.due_date);
+      return {
+        member,
+        completed: completed.length,
+        onTimeRate: dated.length > 0
+          ? dated.filter(({ step, completedAt }) => toDate(completedAt) <= step.due_date).length / dated.length
+          : null
+      };
+    })
+    .sort((a, b) => b.completed - a.completed || a.member.name.localeCompare(b.member.name));
+
+// Share of completed projects (with a known completion date) delivered by end_date
+export const getOnTimeRate = (completedProjects) => {
+  const dated = completedProjects.filter(({ onTime }) => onTime !== null);
+  return dated.length > 0 ? dated.filter(({ onTime }) => onTime).length / dated.length : null;
+};
+
+export const formatPercent = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+export const formatDays = (days) => (days === null ? '–' : `${Math.round(days * 10) / 10}d`);
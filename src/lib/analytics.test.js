@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countWorkingDays,
+  getStatusHistory,
+  getStepTiming,
+  getCompletedProjects,
+  getThroughputByMonth,
+  getCycleTimeByStep,
+  getMostBlockedSteps,
+  getMemberCompletions,
+  getOnTimeRate
+} from './analytics';
+
+const statusChange = (step_id, from_value, to_value, created_at) =>
+  ({ action: 'step_updated', field: 'status', step_id, from_value, to_value, created_at });
+
+// 2026-10-19 is a Monday
+const activity = [
+  statusChange('a', 'blocked', 'in-progress', '2026-10-21T09:00:00Z'),
+  statusChange('a', 'pending', 'in-progress', '2026-10-19T09:00:00Z'),
+  statusChange('a', 'in-progress', 'blocked', '2026-10-20T09:00:00Z'),
+  statusChange('a', 'in-progress', 'completed', '2026-10-22T09:00:00Z'),
+  statusChange('b', 'pending', 'in-progress', '2026-10-23T09:00:00Z'),
+  statusChange('b', 'in-progress', 'completed', '2026-10-26T09:00:00Z'),
+  { action: 'step_updated', field: 'due_date', step_id: 'b', from_value: null, to_value: '2026-10-26', created_at: '2026-10-19T09:00:00Z' }
+];
+
+const projects = [
+  {
+    id: 'p1',
+    end_date: '2026-10-21',
+    project_steps: [{ id: 'a', name: 'Edit', status: 'completed', due_date: '2026-10-20', estimated_days: 3, template_step_id: 't-edit', assignee_ids: ['m1'] }]
+  },
+  {
+    id: 'p2',
+    end_date: '2026-10-30',
+    project_steps: [{ id: 'b', name: 'Edit', status: 'completed', due_date: '2026-10-26', estimated_days: 5, assignee_ids: ['m1'] }]
+  },
+  {
+    id: 'p3',
+    end_date: '2026-10-30',
+    project_steps: [{ id: 'c', name: 'Review', status: 'blocked', estimated_days: 1, assignee_ids: [] }]
+  }
+];
+
+const templates = [{ id: 't1', steps: [{ id: 't-edit', name: 'Edit', estimated_days: 2 }] }];
+const teamMembers = [{ id: 'm1', name: 'Ann' }, { id: 'm2', name: 'Bo' }];
+const history = getStatusHistory(activity);
+
+describe('countWorkingDays', () => {
+  it('counts both ends and skips weekends unless told not to', () => {
+    expect(countWorkingDays('2026-10-19', '2026-10-19')).toBe(1);
+    expect(countWorkingDays('2026-10-23', '2026-10-26')).toBe(2);
+    expect(countWorkingDays('2026-10-23', '2026-10-26', false)).toBe(4);
+  });
+});
+
+describe('getStatusHistory', () => {
+  it('keeps status changes per step in the order they happened', () => {
+    expect(history.a.map(change => change.to)).toEqual(['in-progress', 'blocked', 'in-progress', 'completed']);
+    expect(history.b).toHaveLength(2);
+  });
+});
+
+describe('getStepTiming', () => {
+  it('measures from the first pick-up to the completion', () => {
+    expect(getStepTiming(projects[0].project_steps[0], history)).toEqual({
+      startedAt: '2026-10-19T09:00:00Z',
+      completedAt: '2026-10-22T09:00:00Z',
+      cycleDays: 4,
+      blockedCount: 1
+    });
+  });
+
+  it('has no completion for a step that was reopened', () => {
+    expect(getStepTiming({ id: 'a', status: 'in-progress' }, history)).toMatchObject({ completedAt: null, cycleDays: null });
+  });
+});
+
+describe('project completion', () => {
+  const completed = getCompletedProjects(projects, history);
+
+  it('completes a project with its last step and compares it to the end date', () => {
+    expect(completed.map(({ project, completedAt, onTime }) => [project.id, completedAt, onTime])).toEqual([
+      ['p1', '2026-10-22T09:00:00Z', false],
+      ['p2', '2026-10-26T09:00:00Z', true]
+    ]);
+    expect(getOnTimeRate(completed)).toBe(0.5);
+  });
+
+  it('counts completed projects per month', () => {
+    expect(getThroughputByMonth(completed, '2026-10-19', 2).map(({ month, count }) => [month, count]))
+      .toEqual([['2026-09', 0], ['2026-10', 2]]);
+  });
+});
+
+describe('getCycleTimeByStep', () => {
+  it('averages cycle times per step name against the template estimate', () => {
+    expect(getCycleTimeByStep(projects, history, templates)).toEqual([
+      { name: 'Edit', count: 2, averageDays: 3, estimatedDays: 3.5, ratio: 3 / 3.5 }
+    ]);
+  });
+});
+
+describe('getMostBlockedSteps', () => {
+  it('counts logged blocks and steps blocked right now', () => {
+    expect(getMostBlockedSteps(projects, history)).toEqual([
+      { name: 'Edit', count: 1, current: 0 },
+      { name: 'Review', count: 1, current: 1 }
+    ]);
+  });
+});
+
+describe('getMemberCompletions', () => {
+  it('counts completed steps and how many were done by their due date', () => {
+    expect(getMemberCompletions(projects, history, teamMembers).map(({ member, completed, onTimeRate }) =>
+      [member.name, completed, onTimeRate])).toEqual([['Ann', 2, 0.5], ['Bo', 0, null]]);
+  });
+});
@@ -0,0 +1,30 @@
+// Deliverables attached to steps. Every upload of the same label on a step is
+// a new version; at most one version per label is current, and any version
+// can be approved.
+
+export const getAssets = (step) => step.assets || [];
+
+// Versions are numbered per step and label, starting at 1
+export const getNextVersion = (step, label) =>
+  Math.max(0, ...getAssets(step).filter(asset => asset.label === label).map(asset => asset.version)) + 1;
+
+// [{ label, versions }] with the newest version first
+export const getAssetGroups = (step) => {
+  const labels = [...new Set(getAssets(step).map(asset => asset.label))];
+  return labels.map(label => ({
+    label,
+    versions: getAssets(step)
+      .filter(asset => asset.label === label)
+      .sort((a, b) => b.version - a.version)
+  }));
+};
+
+// The most recently approved asset across all of the project's steps
+export const getLatestApprovedAsset = (project) =>
+  (project.project_steps || [])
+    .flatMap(getAssets)
+    .filter(asset => asset.approved_at)
+    .reduce((latest, asset) => (!latest || asset.approved_at > latest.approved_at ? asset : latest), null);
+
+// Only web links are rendered as links; anything else is a file reference
+export const isLink = (url) => /^https?:\/\//i.test(url || '');
@@ -0,0 +1,76 @@
+import { getAssigneeIds } from './team';
+
+// Time is logged in hours; day rates and estimated_days convert at this rate
+export const HOURS_PER_DAY = 8;
+
+export const RATE_UNITS = {
+  hour: 'per hour',
+  day: 'per day'
+};
+
+// null when the member has no rate set
+export const getHourlyRate = (member) => {
+  if (!member || member.rate == null || member.rate === '') return null;
+  const rate = Number(member.rate);
+  return member.rate_unit === 'day' ? rate / HOURS_PER_DAY : rate;
+};
+
+export const getTimeEntries = (step) => step.time_entries || [];
+
+const sumHours = (entries) => entries.reduce((total, entry) => total + (Number(entry.hours) || 0), 0);
+
+const costOf = (entries, teamMembers) => entries.reduce((total, entry) => {
+  const rate = getHourlyRate(teamMembers.find(member => member.id === entry.member_id));
+  return total + (rate === null ? 0 : rate * (Number(entry.hours) || 0));
+}, 0);
+
+// Estimates book every assignee for the whole step, like the workload view,
+// so a step with two assignees is estimated at both of their rates
+const estimateStep = (step, teamMembers) => {
+  const assignees = getAssigneeIds(step);
+  const hours = (step.estimated_days || 0) * HOURS_PER_DAY;
+  const rates = assignees.map(id => getHourlyRate(teamMembers.find(member => member.id === id)));
+  return {
+    hours: hours * Math.max(assignees.length, 1),
+    cost: rates.reduce((total, rate) => total + (rate === null ? 0 : rate * hours), 0),
+    missingRates: assignees.length === 0 || rates.includes(null)
+  };
+};
+
+// Estimated against actual hours and cost per step, with project totals and
+// how the actual cost compares to the budget. missingRates flags estimates
+// that are incomplete because a step is unassigned or an assignee has no rate.
+export const getBudgetReport = (project, teamMembers) => {
+  const rows = (project.project_steps || []).map(step => {
+    const entries = getTimeEntries(step);
+    const estimate = estimateStep(step, teamMembers);
+    return {
+      step,
+      estimatedHours: estimate.hours,
+      estimatedCost: estimate.cost,
+      actualHours: sumHours(entries),
+      actualCost: costOf(entries, teamMembers),
+      missingRates: estimate.missingRates
+    };
+  });
+
+  const total = (key) => rows.reduce((sum, row) => sum + row[key], 0);
+  const budget = project.budget == null || project.budget === '' ? null : Number(project.budget);
+  const actualCost = total('actualCost');
+
+  return {
+    rows,
+    estimatedHours: total('estimatedHours'),
+    estimatedCost: total('estimatedCost'),
+    actualHours: total('actualHours'),
+    actualCost,
+    budget,
+    remaining: budget === null ? null : budget - actualCost,
+    missingRates: rows.some(row => row.missingRates)
+  };
+};
+
+export const formatMoney = (amount) =>
+  amount.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+
+export const formatHours = (hours) => `${Number(hours.toFixed(1))}h`;
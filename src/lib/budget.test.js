@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { getHourlyRate, getBudgetReport, formatHours } from './budget';
+
+const teamMembers = [
+  { id: 'm1', name: 'Ann', rate: 50, rate_unit: 'hour' },
+  { id: 'm2', name: 'Bo', rate: 400, rate_unit: 'day' },
+  { id: 'm3', name: 'Cy', rate: null, rate_unit: 'hour' }
+];
+
+describe('getHourlyRate', () => {
+  it('converts day rates at eight hours a day and returns null without a rate', () => {
+    expect(getHourlyRate(teamMembers[0])).toBe(50);
+    expect(getHourlyRate(teamMembers[1])).toBe(50);
+    expect(getHourlyRate(teamMembers[2])).toBeNull();
+    expect(getHourlyRate(undefined)).toBeNull();
+  });
+});
+
+describe('getBudgetReport', () => {
+  const project = {
+    budget: 2000,
+    project_steps: [
+      {
+        id: 'a',
+        estimated_days: 1,
+        assignee_ids: ['m1', 'm2'],
+        time_entries: [{ member_id: 'm1', hours: 6 }, { member_id: 'm2', hours: '4' }]
+      },
+      { id: 'b', estimated_days: 2, assignee_ids: ['m1'], time_entries: [{ member_id: 'm3', hours: 3 }] }
+    ]
+  };
+
+  it('estimates every assignee for the whole step and costs the logged time', () => {
+    const report = getBudgetReport(project, teamMembers);
+    expect(report.rows.map(({ estimatedHours, estimatedCost, actualHours, actualCost }) =>
+      [estimatedHours, estimatedCost, actualHours, actualCost])).toEqual([[16, 800, 10, 500], [16, 800, 3, 0]]);
+    expect(report).toMatchObject({
+      estimatedHours: 32,
+      estimatedCost: 1600,
+      actualHours: 13,
+      actualCost: 500,
+      budget: 2000,
+      remaining: 1500,
+      missingRates: false
+    });
+  });
+
+  it('flags unassigned steps and assignees without a rate', () => {
+    const report = getBudgetReport({
+      budget: '',
+      project_steps: [{ id: 'a', estimated_days: 1, assignee_ids: [] }, { id: 'b', estimated_days: 1, assignee_ids: ['m3'] }]
+    }, teamMembers);
+    expect(report.rows.map(row => row.missingRates)).toEqual([true, true]);
+    expect(report).toMatchObject({ estimatedCost: 0, budget: null, remaining: null, missingRates: true });
+  });
+});
+
+describe('formatHours', () => {
+  it('rounds to one decimal', () => {
+    expect(formatHours(2.25)).toBe('2.3h');
+    expect(formatHours(3)).toBe('3h');
+  });
+});
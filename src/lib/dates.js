@@ -0,0 +1,57 @@
+// Date-only helpers. Dates travel as 'YYYY-MM-DD' strings (the format of the
+// date columns and <input type="date">) and are handled in UTC so that
+// day arithmetic is never thrown off by time zones or DST.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const parseDate = (value) => {
+  if (!value) return null;
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// True for a real calendar date in 'YYYY-MM-DD' form (rejects 2026-02-30)
+export const isValidDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDate(parseDate(value)) === value;
+
+export const today = () => {
+  const now = new Date();
+  return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+};
+
+export const addDays = (value, days) => formatDate(new Date(parseDate(value).getTime() + days * DAY_MS));
+
+export const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+
+export const isWeekend = (value) => {
+  const day = parseDate(value).getUTCDay();
+  return day === 0 || day === 6;
+};
+
+// Moves forward to the first date that counts as a working day
+export const nextWorkingDay = (value, skipWeekends) => {
+  let date = value;
+  while (skipWeekends && isWeekend(date)) date = addDays(date, 1);
+  return date;
+};
+
+// Moves back to the closest earlier date that counts as a working day
+export const previousWorkingDay = (value, skipWeekends) => {
+  let date = value;
+  while (skipWeekends && isWeekend(date)) date = addDays(date, -1);
+  return date;
+};
+
+// Advances (or goes back, for negative days) by a number of working days;
+// calendar days when weekends count
+export const addWorkingDays = (value, days, skipWeekends) => {
+  const direction = days < 0 ? -1 : 1;
+  const snap = direction < 0 ? previousWorkingDay : nextWorkingDay;
+  let date = snap(value, skipWeekends);
+  for (let i = 0; i < Math.abs(days); i++) {
+    date = snap(addDays(date, direction), skipWeekends);
+  }
+  return date;
+};
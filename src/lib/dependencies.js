@@ -0,0 +1,65 @@
+// Step dependencies. depends_on holds the ids of a step's prerequisites
+// (project step ids on projects, template step ids on templates). A step
+// whose depends_on is null has never been configured and simply follows the
+// step before it, which keeps older linear pipelines working unchanged.
+
+export const getPrerequisiteIds = (steps, step) => {
+  if (Array.isArray(step.depends_on)) {
+    return step.depends_on.filter(id => steps.some(other => other.id === id));
+  }
+  const index = steps.findIndex(other => other.id === step.id);
+  return index > 0 ? [steps[index - 1].id] : [];
+};
+
+export const getPrerequisites = (steps, step) =>
+  getPrerequisiteIds(steps, step).map(id => steps.find(other => other.id === id));
+
+// Every step that directly or indirectly waits on stepId
+export const getDependentIds = (steps, stepId) => {
+  const dependents = new Set();
+  const visit = (id) => {
+    steps.forEach(step => {
+      if (!dependents.has(step.id) && getPrerequisiteIds(steps, step).includes(id)) {
+        dependents.add(step.id);
+        visit(step.id);
+      }
+    });
+  };
+  visit(stepId);
+  return dependents;
+};
+
+// Would giving stepId these prerequisites make it (indirectly) depend on itself?
+export const createsCycle = (steps, stepId, prerequisiteIds) => {
+  const candidate = steps.map(step => (step.id === stepId ? { ...step, depends_on: prerequisiteIds } : step));
+  const seen = new Set();
+  const reaches = (id) => {
+    if (id === stepId) return true;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    const step = candidate.find(other => other.id === id);
+    return Boolean(step) && getPrerequisiteIds(candidate, step).some(reaches);
+  };
+  return prerequisiteIds.some(reaches);
+};
+
+export const arePrerequisitesComplete = (steps, step) =>
+  getPrerequisites(steps, step).every(prerequisite => prerequisite.status === 'completed');
+
+// Orders steps so every step comes after its prerequisites, keeping the
+// original order where dependencies allow. Steps caught in a cycle (only
+// possible with data edited outside the app) are appended as they are.
+export const sortByDependencies = (steps) => {
+  const sorted = [];
+  const placed = new Set();
+  let remaining = [...steps];
+  while (remaining.length > 0) {
+    const next = remaining.find(step =>
+      getPrerequisiteIds(steps, step).every(id => placed.has(id))
+    ) || remaining[0];
+    sorted.push(next);
+    placed.add(next.id);
+    remaining = remaining.filter(step => step !== next);
+  }
+  return sorted;
+};
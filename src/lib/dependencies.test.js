@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { createsCycle, getDependentIds, getPrerequisiteIds, sortByDependencies, arePrerequisitesComplete } from './dependencies';
+
+const steps = [
+  { id: 1, depends_on: [] },
+  { id: 2, depends_on: [1] },
+  { id: 3, depends_on: [2] },
+  { id: 4, depends_on: [1] }
+];
+
+describe('getPrerequisiteIds', () => {
+  it('follows the previous step when depends_on was never set', () => {
+    const linear = [{ id: 'a', depends_on: null }, { id: 'b', depends_on: null }];
+    expect(getPrerequisiteIds(linear, linear[0])).toEqual([]);
+    expect(getPrerequisiteIds(linear, linear[1])).toEqual(['a']);
+  });
+
+  it('ignores ids of steps that no longer exist', () => {
+    expect(getPrerequisiteIds(steps, { id: 5, depends_on: [1, 99] })).toEqual([1]);
+  });
+});
+
+describe('getDependentIds', () => {
+  it('includes indirect dependents', () => {
+    expect([...getDependentIds(steps, 1)].sort()).toEqual([2, 3, 4]);
+    expect([...getDependentIds(steps, 3)]).toEqual([]);
+  });
+});
+
+describe('createsCycle', () => {
+  it('detects a step depending on itself', () => {
+    expect(createsCycle(steps, 1, [1])).toBe(true);
+  });
+
+  it('detects indirect cycles', () => {
+    expect(createsCycle(steps, 1, [3])).toBe(true);
+  });
+
+  it('allows dependencies that keep the graph acyclic', () => {
+    expect(createsCycle(steps, 3, [4])).toBe(false);
+    expect(createsCycle(steps, 4, [2, 3])).toBe(false);
+  });
+
+  it('sees through steps that follow their predecessor implicitly', () => {
+    const linear = [{ id: 'a', depends_on: null }, { id: 'b', depends_on: null }];
+    expect(createsCycle(linear, 'a', ['b'])).toBe(true);
+  });
+});
+
+describe('sortByDependencies', () => {
+  it('puts every step after its prerequisites', () => {
+    const shuffled = [steps[2], steps[3], steps[1], steps[0]];
+    expect(sortByDependencies(shuffled).map(step => step.id)).toEqual([1, 4, 2, 3]);
+  });
+
+  it('still returns every step when data contains a cycle', () => {
+    const cyclic = [{ id: 'a', depends_on: ['b'] }, { id: 'b', depends_on: ['a'] }];
+    expect(sortByDependencies(cyclic).map(step => step.id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('arePrerequisitesComplete', () => {
+  it('is true once every prerequisite is completed', () => {
+    const statuses = [{ ...steps[0], status: 'completed' }, { ...steps[1], status: 'pending' }, steps[2]];
+    expect(arePrerequisitesComplete(statuses, statuses[1])).toBe(true);
+    expect(arePrerequisitesComplete(statuses, statuses[2])).toBe(false);
+  });
+});
@@ -0,0 +1,9 @@
+// Saves generated content (exports, calendars) as a file in the browser
+export const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
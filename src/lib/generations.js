@@ -0,0 +1,29 @@
+// AI generation runs logged against steps: what was generated, how, and what
+// it cost in credits.
+
+export const getGenerations = (step) => step.generations || [];
+
+// Newest first, narrowed to runs whose model, prompt or seed mention the query
+export const filterGenerations = (runs, query = '') => {
+  const needle = query.trim().toLowerCase();
+  return [...runs]
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+    .filter(run => !needle || [run.model, run.prompt, run.negative_prompt, run.seed]
+      .some(value => String(value ?? '').toLowerCase().includes(needle)));
+};
+
+const sumCredits = (runs) => runs.reduce((total, run) => total + (Number(run.credits) || 0), 0);
+
+export const getStepCredits = (step) => sumCredits(getGenerations(step));
+
+export const getProjectCredits = (project) =>
+  sumCredits((project.project_steps || []).flatMap(getGenerations));
+
+// Total credits across every project for the same client
+export const getClientCredits = (projects, client) =>
+  projects
+    .filter(project => project.client === client)
+    .reduce((total, project) => total + getProjectCredits(project), 0);
+
+export const formatCredits = (credits) =>
+  `${Number(credits.toFixed(2)).toLocaleString()} credit${credits === 1 ? '' : 's'}`;
@@ -0,0 +1,46 @@
+import { today } from './dates';
+import { planSteps } from './schedule';
+
+export const HEALTH_STATUSES = {
+  'on-track': { label: 'On Track', className: 'bg-green-100 text-green-800' },
+  'at-risk': { label: 'At Risk', className: 'bg-amber-100 text-amber-800' },
+  overdue: { label: 'Overdue', className: 'bg-red-100 text-red-800' },
+  blocked: { label: 'Blocked', className: 'bg-purple-100 text-purple-800' }
+};
+
+// When the unfinished steps would be done if they were started no earlier than today
+export const getProjectedEndDate = (project, asOf = today()) => {
+  const steps = project.project_steps || [];
+  const start = project.start_date && project.start_date > asOf ? project.start_date : asOf;
+  return planSteps(steps, start, {
+    skipWeekends: project.skip_weekends !== false,
+    keep: step => step.status === 'completed'
+  }).reduce((latest, { due_date }) => (due_date && (!latest || due_date > latest) ? due_date : latest), null);
+};
+
+// Rolls the steps up into one health status, most severe first:
+// blocked > overdue > at-risk > on-track. Reasons explain the verdict.
+export const getProjectHealth = (project, asOf = today()) => {
+  const steps = project.project_steps || [];
+  const open = steps.filter(step => step.status !== 'completed');
+  const reasons = { blocked: [], overdue: [], 'at-risk': [] };
+
+  if (steps.length > 0 && open.length === 0) return { status: 'on-track', reasons: [] };
+
+  open.filter(step => step.status === 'blocked')
+    .forEach(step => reasons.blocked.push(`${step.name} is blocked`));
+
+  open.filter(step => step.due_date && step.due_date < asOf)
+    .forEach(step => reasons.overdue.push(`${step.name} was due ${step.due_date}`));
+  if (project.end_date && project.end_date < asOf) {
+    reasons.overdue.push(`Project end date ${project.end_date} has passed`);
+  }
+
+  const projectedEnd = getProjectedEndDate(project, asOf);
+  if (project.end_date && projectedEnd && projectedEnd > project.end_date) {
+    reasons['at-risk'].push(`Remaining work runs until ${projectedEnd}, past the ${project.end_date} end date`);
+  }
+
+  const status = ['blocked', 'overdue', 'at-risk'].find(key => reasons[key].length > 0) || 'on-track';
+  return { status, reasons: [...reasons.blocked, ...reasons.overdue, ...reasons['at-risk']] };
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getProjectHealth, getProjectedEndDate } from './health';
+
+// 2026-10-19 is a Monday
+const asOf = '2026-10-19';
+const project = {
+  start_date: '2026-10-19',
+  end_date: '2026-10-30',
+  skip_weekends: true,
+  project_steps: [
+    { id: 'script', name: 'Script', status: 'pending', estimated_days: 2, depends_on: null },
+    { id: 'board', name: 'Storyboard', status: 'pending', estimated_days: 2, depends_on: null },
+    { id: 'edit', name: 'Edit', status: 'pending', estimated_days: 3, depends_on: null }
+  ]
+};
+
+const withStep = (index, updates) => ({
+  ...project,
+  project_steps: project.project_steps.map((step, i) => (i === index ? { ...step, ...updates } : step))
+});
+
+describe('getProjectedEndDate', () => {
+  it('plans the unfinished steps from today', () => {
+    expect(getProjectedEndDate(project, asOf)).toBe('2026-10-27');
+    expect(getProjectedEndDate(project, '2026-10-21')).toBe('2026-10-29');
+  });
+});
+
+describe('getProjectHealth', () => {
+  it('is on track when the remaining work fits before the end date', () => {
+    expect(getProjectHealth(project, asOf)).toEqual({ status: 'on-track', reasons: [] });
+  });
+
+  it('is at risk when the remaining work runs past the end date', () => {
+    expect(getProjectHealth({ ...project, end_date: '2026-10-23' }, asOf)).toEqual({
+      status: 'at-risk',
+      reasons: ['Remaining work runs until 2026-10-27, past the 2026-10-23 end date']
+    });
+  });
+
+  it('is overdue when an open step or the project is past due', () => {
+    const health = getProjectHealth(withStep(0, { due_date: '2026-10-16' }), asOf);
+    expect(health.status).toBe('overdue');
+    expect(health.reasons).toContain('Script was due 2026-10-16');
+    expect(getProjectHealth({ ...project, end_date: '2026-10-16' }, asOf).reasons)
+      .toContain('Project end date 2026-10-16 has passed');
+  });
+
+  it('puts blocked steps ahead of everything else', () => {
+    const health = getProjectHealth(withStep(1, { status: 'blocked', due_date: '2026-10-16' }), asOf);
+    expect(health.status).toBe('blocked');
+    expect(health.reasons.slice(0, 2)).toEqual(['Storyboard is blocked', 'Storyboard was due 2026-10-16']);
+  });
+
+  it('is on track once every step is completed, even past the end date', () => {
+    const done = { ...project, end_date: '2026-10-16', project_steps: project.project_steps.map(step => ({ ...step, status: 'completed' })) };
+    expect(getProjectHealth(done, asOf)).toEqual({ status: 'on-track', reasons: [] });
+  });
+});
@@ -0,0 +1,117 @@
+import { addDays } from './dates';
+import { formatAssignees, isAssignedTo } from './team';
+
+// iCalendar (RFC 5545) export of step due dates and project deadlines as
+// all-day events. UIDs are derived from the record ids and every export
+// raises SEQUENCE, so importing a newer export into the same calendar updates
+// the events instead of adding copies.
+
+const PRODUCT_ID = '-//AI Video Production Tracker//Schedule//EN';
+const UID_DOMAIN = 'ai-video-tracker';
+
+// Content lines are limited to 75 octets; longer ones continue on the next
+// line after a single space
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  return [...parts, current].join('\r\n ');
+};
+
+const toIcalDate = (value) => value.replace(/-/g, '');
+
+const toIcalTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Records carry no revision number, so the export time stands in for one:
+// minutes since 1970, which grows with every export and fits the 32-bit
+// integer calendars expect
+const toSequence = (date) => Math.floor(date.getTime() / 60000);
+
+const stepEvent = (project, step, teamMembers) => ({
+  uid: `step-${step.id}@${UID_DOMAIN}`,
+  date: step.due_date,
+  summary: `${step.name} due – ${project.name}`,
+  description: [
+    `Project: ${project.name} (${project.client})`,
+    `Status: ${step.status}`,
+    `Assigned to: ${formatAssignees(step, teamMembers)}`
+  ].join('\n')
+});
+
+const deadlineEvent = (project) => ({
+  uid: `project-${project.id}@${UID_DOMAIN}`,
+  date: project.end_date,
+  summary: `Deadline: ${project.name}`,
+  description: `Client: ${project.client}`
+});
+
+// Events for a project's deadline and every step with a due date; `includeStep`
+// narrows the steps (e.g. to one member's) and drops the deadline
+export const getProjectEvents = (project, teamMembers, includeStep = null) => [
+  ...(!includeStep && project.end_date ? [deadlineEvent(project)] : []),
+  ...(project.project_steps || [])
+    .filter(step => step.due_date && (!includeStep || includeStep(step)))
+    .map(step => stepEvent(project, step, teamMembers))
+];
+
+export const getMemberEvents = (projects, memberId, teamMembers) =>
+  projects.flatMap(project => getProjectEvents(project, teamMembers, step => isAssignedTo(step, memberId)));
+
+export const getAllEvents = (projects, teamMembers) =>
+  projects.flatMap(project => getProjectEvents(project, teamMembers));
+
+export const toICalendar = (events, { name, now = new Date() }) => {
+  const stamp = toIcalTimestamp(now);
+  const sequence = toSequence(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTART;VALUE=DATE:${toIcalDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toIcalDate(addDays(event.date, 1))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ]),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export const ICS_TYPE = 'text/calendar;charset=utf-8';
+
+// Lowercase, dash-separated file name for a calendar
+export const icsFileName = (name) =>
+  `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'calendar'}.ics`;
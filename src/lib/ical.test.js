@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { getProjectEvents, toICalendar } from './ical';
+
+const project = {
+  id: 'p1',
+  name: 'Promo',
+  client: 'Acme',
+  end_date: '2026-10-30',
+  project_steps: [
+    { id: 's1', name: 'Script', status: 'pending', due_date: '2026-10-20', assignee_ids: [] },
+    { id: 's2', name: 'Edit', status: 'pending', due_date: null, assignee_ids: [] }
+  ]
+};
+
+const lines = (now) =>
+  toICalendar(getProjectEvents(project, []), { name: 'Promo', now }).split('\r\n');
+
+describe('toICalendar', () => {
+  it('keeps UIDs stable and raises SEQUENCE with each export', () => {
+    const first = lines(new Date('2026-10-19T09:00:00Z'));
+    const second = lines(new Date('2026-10-20T09:00:00Z'));
+    const uids = (calendar) => calendar.filter(line => line.startsWith('UID:'));
+    const sequences = (calendar) => calendar.filter(line => line.startsWith('SEQUENCE:')).map(line => Number(line.slice(9)));
+
+    expect(uids(first)).toEqual(['UID:project-p1@ai-video-tracker', 'UID:step-s1@ai-video-tracker']);
+    expect(uids(second)).toEqual(uids(first));
+    expect(sequences(first)).toHaveLength(2);
+    expect(sequences(second)[0]).toBeGreaterThan(sequences(first)[0]);
+    expect(sequences(second)[0]).toBeLessThan(2 ** 31);
+    expect(first).toContain('LAST-MODIFIED:20261019T090000Z');
+  });
+});
@@ -0,0 +1,383 @@
+import { isValidDate } from './dates';
+import { RATE_UNITS } from './budget';
+import { getAssigneeIds, getMemberName } from './team';
+
+// Backups and spreadsheets refer to team members, templates and dependencies
+// by name or key rather than by id, so a file exported from one store can be
+// imported into another.
+
+export const BACKUP_VERSION = 1;
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const STEP_STATUSES = ['pending', 'in-progress', 'completed', 'blocked'];
+
+// Dependencies and assignees in CSV cells are separated by semicolons. A
+// semicolon or backslash inside a name is escaped with a backslash.
+const LIST_SEPARATOR = ';';
+
+// An empty depends_on cell means the step follows the previous one (null);
+// this marks a step that was set to have no prerequisites at all ([])
+const NO_DEPENDENCIES = '(none)';
+
+const joinList = (items) =>
+  items
+    .map(item => item.replace(/[\\;]/g, '\\$&'))
+    .map(item => (item === NO_DEPENDENCIES ? `\\${item}` : item))
+    .join(`${LIST_SEPARATOR} `);
+
+const bySteps = (a, b) => a.step_order - b.step_order;
+
+// --- Export ---
+
+export const toBackup = ({ projects, teamMembers, templates }, exportedAt = new Date().toISOString()) => ({
+  version: BACKUP_VERSION,
+  exported_at: exportedAt,
+  team_members: teamMembers.map(member => ({
+    name: member.name,
+    rate: member.rate ?? null,
+    rate_unit: member.rate_unit || 'hour',
+    weekly_capacity: member.weekly_capacity ?? null
+  })),
+  templates: templates.map(template => ({
+    name: template.name,
+    steps: [...template.steps].sort(bySteps).map(step => ({
+      key: String(step.id),
+      name: step.name,
+      step_order: step.step_order,
+      estimated_days: step.estimated_days,
+      depends_on: step.depends_on ? step.depends_on.map(String) : null
+    }))
+  })),
+  projects: projects.map(project => ({
+    name: project.name,
+    client: project.client,
+    start_date: project.start_date,
+    end_date: project.end_date,
+    priority: project.priority || 'medium',
+    description: project.description || '',
+    skip_weekends: project.skip_weekends !== false,
+    budget: project.budget ?? null,
+    archived_at: project.archived_at || null,
+    template: templates.find(template => template.id === project.template_id)?.name || null,
+    steps: [...(project.project_steps || [])].sort(bySteps).map(step => ({
+      key: String(step.id),
+      name: step.name,
+      client_name: step.client_name || null,
+      step_order: step.step_order,
+      status: step.status,
+      estimated_days: step.estimated_days,
+      due_date: step.due_date || null,
+      assignees: getAssigneeIds(step).map(id => getMemberName(teamMembers, id)),
+      depends_on: step.depends_on ? step.depends_on.map(String) : null
+    }))
+  }))
+});
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n');
+
+export const PROJECT_CSV_COLUMNS = [
+  'project', 'client', 'start_date', 'end_date', 'priority', 'budget', 'skip_weekends', 'description', 'template',
+  'step_order', 'step', 'client_step_name', 'status', 'estimated_days', 'due_date', 'assignees', 'depends_on'
+];
+export const TEAM_CSV_COLUMNS = ['name', 'rate', 'rate_unit', 'weekly_capacity'];
+export const TEMPLATE_CSV_COLUMNS = ['template', 'step_order', 'step', 'estimated_days', 'depends_on'];
+
+// Spreadsheet files name dependencies by step name instead of by key
+const dependencyNames = (steps, step) => {
+  if (!step.depends_on) return '';
+  const names = step.depends_on.map(key => steps.find(other => other.key === key)?.name).filter(Boolean);
+  return names.length > 0 ? joinList(names) : NO_DEPENDENCIES;
+};
+
+// One row per step, with the project columns repeated; projects without
+// steps get a single row with the step columns empty
+export const projectsToCsv = (backup) =>
+  toCsv(PROJECT_CSV_COLUMNS, backup.projects.flatMap(project => {
+    const projectColumns = {
+      project: project.name,
+      client: project.client,
+      start_date: project.start_date,
+      end_date: project.end_date,
+      priority: project.priority,
+      budget: project.budget,
+      skip_weekends: project.skip_weekends ? 'yes' : 'no',
+      description: project.description,
+      template: project.template
+    };
+    if (project.steps.length === 0) return [projectColumns];
+    return project.steps.map(step => ({
+      ...projectColumns,
+      step_order: step.step_order,
+      step: step.name,
+      client_step_name: step.client_name,
+      status: step.status,
+      estimated_days: step.estimated_days,
+      due_date: step.due_date,
+      assignees: joinList(step.assignees),
+      depends_on: dependencyNames(project.steps, step)
+    }));
+  }));
+
+export const teamToCsv = (backup) => toCsv(TEAM_CSV_COLUMNS, backup.team_members);
+
+export const templatesToCsv = (backup) =>
+  toCsv(TEMPLATE_CSV_COLUMNS, backup.templates.flatMap(template => template.steps.map(step => ({
+    template: template.name,
+    step_order: step.step_order,
+    step: step.name,
+    estimated_days: step.estimated_days,
+    depends_on: dependencyNames(template.steps, step)
+  }))));
+
+// --- Import ---
+
+// RFC 4180: quoted cells may contain commas, newlines and doubled quotes
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) rows.push([...row, cell]);
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(value => value.trim() !== ''));
+  const columns = header.map(column => column.trim().toLowerCase());
+  return body.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? '').trim()])));
+};
+
+const splitList = (value) => {
+  const text = value || '';
+  const items = [''];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      items[items.length - 1] += text[++i];
+    } else if (text[i] === LIST_SEPARATOR) {
+      items.push('');
+    } else {
+      items[items.length - 1] += text[i];
+    }
+  }
+  return items.map(item => item.trim()).filter(Boolean);
+};
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+const toBoolean = (value) => !['no', 'false', '0'].includes(String(value).trim().toLowerCase());
+
+const splitDependencies = (value) => {
+  if (!value) return null;
+  return value === NO_DEPENDENCIES ? [] : splitList(value);
+};
+
+// Turns CSV step names in depends_on into the keys of the steps they name
+const resolveDependencyNames = (steps) => steps.map(step => ({
+  ...step,
+  depends_on: step.depends_on && step.depends_on.map(name => steps.find(other => other.name === name)?.key ?? name)
+}));
+
+const groupRows = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    groups.set(key, [...(groups.get(key) || []), row]);
+  });
+  return [...groups.values()];
+};
+
+const projectsFromCsv = (rows) =>
+  groupRows(rows, row => `${row.project}\n${row.client}`).map(group => {
+    const [first] = group;
+    return {
+      name: first.project,
+      client: first.client,
+      start_date: first.start_date,
+      end_date: first.end_date,
+      priority: first.priority || 'medium',
+      description: first.description || '',
+      skip_weekends: first.skip_weekends === undefined ? true : toBoolean(first.skip_weekends),
+      budget: toNumber(first.budget),
+      archived_at: null,
+      template: first.template || null,
+      steps: resolveDependencyNames(group.filter(row => row.step).map((row, index) => ({
+        key: row.step,
+        name: row.step,
+        client_name: row.client_step_name || null,
+        step_order: toNumber(row.step_order) ?? index + 1,
+        status: row.status || 'pending',
+        estimated_days: toNumber(row.estimated_days) ?? 1,
+        due_date: row.due_date || null,
+        assignees: splitList(row.assignees),
+        depends_on: splitDependencies(row.depends_on)
+      })))
+    };
+  });
+
+const templatesFromCsv = (rows) =>
+  groupRows(rows, row => row.template).map(group => ({
+    name: group[0].template,
+    steps: resolveDependencyNames(group.map((row, index) => ({
+      key: row.step,
+      name: row.step,
+      step_order: toNumber(row.step_order) ?? index + 1,
+      estimated_days: toNumber(row.estimated_days) ?? 1,
+      depends_on: splitDependencies(row.depends_on)
+    })))
+  }));
+
+const teamFromCsv = (rows) => rows.map(row => ({
+  name: row.name,
+  rate: toNumber(row.rate),
+  rate_unit: row.rate_unit || 'hour',
+  weekly_capacity: toNumber(row.weekly_capacity)
+}));
+
+// Reads a JSON backup or one of the three CSV exports into the backup
+// shape. CSV files are told apart by their columns.
+export const parseImportFile = (text) => {
+  if (text.trim().startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Not valid JSON (${err.message})`);
+    }
+    return {
+      team_members: data.team_members || [],
+      templates: data.templates || [],
+      projects: data.projects || []
+    };
+  }
+
+  const rows = parseCsv(text);
+  if (rows.length === 0) throw new Error('The file has no rows');
+  const columns = Object.keys(rows[0]);
+  if (columns.includes('project')) return { team_members: [], templates: [], projects: projectsFromCsv(rows) };
+  if (columns.includes('template')) return { team_members: [], templates: templatesFromCsv(rows), projects: [] };
+  if (columns.includes('name')) return { team_members: teamFromCsv(rows), templates: [], projects: [] };
+  throw new Error('Unrecognised CSV: expected a "project", "template" or "name" column');
+};
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+export const projectKey = (project) => `${normalize(project.name)}\n${normalize(project.client)}`;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const validateStep = (step, index, { statuses = null } = {}) => {
+  const label = `Step ${index + 1}${step.name ? ` "${step.name}"` : ''}`;
+  const errors = [];
+  if (!step.name) errors.push(`${label} has no name`);
+  if (!isPositiveNumber(step.estimated_days)) errors.push(`${label} needs estimated days above zero`);
+  if (statuses && !statuses.includes(step.status)) errors.push(`${label} has unknown status "${step.status}"`);
+  if (step.due_date && !isValidDate(step.due_date)) errors.push(`${label} has an invalid due date "${step.due_date}"`);
+  return errors;
+};
+
+const validateProject = (project, memberNames) => {
+  const errors = [];
+  const warnings = [];
+  if (!project.name) errors.push('Project name is missing');
+  if (!project.client) errors.push('Client is missing');
+  if (!isValidDate(project.start_date)) errors.push(`Invalid start date "${project.start_date ?? ''}"`);
+  if (!isValidDate(project.end_date)) errors.push(`Invalid end date "${project.end_date ?? ''}"`);
+  if (isValidDate(project.start_date) && isValidDate(project.end_date) && project.end_date < project.start_date) {
+    errors.push('End date is before the start date');
+  }
+  if (!PRIORITIES.includes(project.priority)) errors.push(`Unknown priority "${project.priority}"`);
+  if (project.budget !== null && project.budget !== undefined && !(Number.isFinite(project.budget) && project.budget >= 0)) {
+    errors.push('Budget must be a non-negative number');
+  }
+  const steps = project.steps || [];
+  steps.forEach((step, index) => errors.push(...validateStep(step, index, { statuses: STEP_STATUSES })));
+  const unknown = [...new Set(steps.flatMap(step => step.assignees || []))].filter(name => !memberNames.has(normalize(name)));
+  if (unknown.length > 0) warnings.push(`Unknown assignees left unassigned: ${unknown.join(', ')}`);
+  return { errors, warnings };
+};
+
+const validateMember = (member) => {
+  const errors = [];
+  if (!member.name) errors.push('Name is missing');
+  if (member.rate !== null && member.rate !== undefined && !(Number.isFinite(member.rate) && member.rate >= 0)) {
+    errors.push('Rate must be a non-negative number');
+  }
+  if (!RATE_UNITS[member.rate_unit]) errors.push(`Unknown rate unit "${member.rate_unit}"`);
+  return errors;
+};
+
+// Checks every record and flags the ones that already exist (or appear twice
+// in the file): projects by name and client, members and templates by name.
+// Only rows with no errors that aren't duplicates are imported.
+export const planImport = (data, { projects, teamMembers, templates }) => {
+  const seen = (keys) => (key) => {
+    if (keys.has(key)) return true;
+    keys.add(key);
+    return false;
+  };
+  const seenMember = seen(new Set(teamMembers.map(member => normalize(member.name))));
+  const seenTemplate = seen(new Set(templates.map(template => normalize(template.name))));
+  const seenProject = seen(new Set(projects.map(projectKey)));
+
+  const members = data.team_members.map(member => {
+    const errors = validateMember(member);
+    return { item: member, errors, warnings: [], duplicate: errors.length === 0 && seenMember(normalize(member.name)) };
+  });
+
+  const memberNames = new Set([
+    ...teamMembers.map(member => normalize(member.name)),
+    ...members.filter(({ errors }) => errors.length === 0).map(({ item }) => normalize(item.name))
+  ]);
+
+  return {
+    team_members: members,
+    templates: data.templates.map(template => {
+      const errors = template.name ? [] : ['Template name is missing'];
+      (template.steps || []).forEach((step, index) => errors.push(...validateStep(step, index)));
+      return { item: template, errors, warnings: [], duplicate: errors.length === 0 && seenTemplate(normalize(template.name)) };
+    }),
+    projects: data.projects.map(project => {
+      const { errors, warnings } = validateProject(project, memberNames);
+      return { item: project, errors, warnings, duplicate: errors.length === 0 && seenProject(projectKey(project)) };
+    })
+  };
+};
+
+export const isImportable = (entry) => entry.errors.length === 0 && !entry.duplicate;
+
+// Maps assignee names onto the ids of the members they name, dropping the
+// ones with no match
+export const resolveAssignees = (names, teamMembers) =>
+  names
+    .map(name => teamMembers.find(member => normalize(member.name) === normalize(name))?.id)
+    .filter(id => id !== undefined);
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { toBackup, projectsToCsv, templatesToCsv, teamToCsv, parseCsv, parseImportFile, planImport, isImportable, resolveAssignees } from './importExport';
+
+const teamMembers = [{ id: 'm1', name: 'Ann', rate: 50, rate_unit: 'hour', weekly_capacity: 5 }];
+const templates = [{
+  id: 't1',
+  name: 'Standard',
+  steps: [
+    { id: 's1', name: 'Script', step_order: 1, estimated_days: 2, depends_on: [] },
+    { id: 's2', name: 'Edit', step_order: 2, estimated_days: 3, depends_on: ['s1'] }
+  ]
+}];
+const projects = [{
+  id: 'p1',
+  name: 'Promo, "launch"',
+  client: 'Acme',
+  start_date: '2026-10-19',
+  end_date: '2026-10-30',
+  priority: 'high',
+  description: 'Two lines\nof notes',
+  skip_weekends: true,
+  budget: 1000,
+  template_id: 't1',
+  project_steps: [
+    { id: 'a', name: 'Script', step_order: 1, status: 'completed', estimated_days: 2, due_date: '2026-10-20', assignee_ids: ['m1'], depends_on: [] },
+    { id: 'b', name: 'Edit', step_order: 2, status: 'pending', estimated_days: 3, due_date: null, assignee_ids: [], depends_on: ['a'] }
+  ]
+}];
+const backup = toBackup({ projects, teamMembers, templates }, '2026-10-19T00:00:00.000Z');
+
+describe('parseCsv', () => {
+  it('handles quoted commas, quotes and newlines', () => {
+    expect(parseCsv('name,note\r\n"Ann, A","said ""hi""\nthen left"\n')).toEqual([
+      { name: 'Ann, A', note: 'said "hi"\nthen left' }
+    ]);
+  });
+});
+
+describe('round trip', () => {
+  it('reads a JSON backup back unchanged', () => {
+    const parsed = parseImportFile(JSON.stringify(backup));
+    expect(parsed.projects).toEqual(backup.projects);
+    expect(parsed.templates).toEqual(backup.templates);
+  });
+
+  it('keeps projects, assignees and dependencies through the projects CSV', () => {
+    const [project] = parseImportFile(projectsToCsv(backup)).projects;
+    expect(project).toMatchObject({ name: 'Promo, "launch"', client: 'Acme', budget: 1000, description: 'Two lines\nof notes' });
+    expect(project.steps.map(step => step.assignees)).toEqual([['Ann'], []]);
+    expect(project.steps[1].depends_on).toEqual([project.steps[0].key]);
+  });
+
+  it('keeps names containing the list separator through the projects CSV', () => {
+    const tricky = toBackup({
+      projects: [{
+        ...projects[0],
+        project_steps: [
+          { ...projects[0].project_steps[0], name: 'Script; draft\\v2', assignee_ids: ['m1', 'm2'] },
+          { ...projects[0].project_steps[1], name: 'Edit; cut' }
+        ]
+      }],
+      teamMembers: [...teamMembers, { id: 'm2', name: 'Bo; Cy' }],
+      templates
+    }, '2026-10-19T00:00:00.000Z');
+    const [project] = parseImportFile(projectsToCsv(tricky)).projects;
+    expect(project.steps.map(step => step.name)).toEqual(['Script; draft\\v2', 'Edit; cut']);
+    expect(project.steps[0].assignees).toEqual(['Ann', 'Bo; Cy']);
+    expect(project.steps[1].depends_on).toEqual([project.steps[0].key]);
+  });
+
+  it('tells steps that follow the previous one apart from steps with no prerequisites', () => {
+    const linear = toBackup({
+      projects: [{
+        ...projects[0],
+        project_steps: [
+          { ...projects[0].project_steps[0], depends_on: null },
+          { ...projects[0].project_steps[1], depends_on: null },
+          { ...projects[0].project_steps[1], id: 'c', name: 'Music', step_order: 3, depends_on: [] }
+        ]
+      }],
+      teamMembers,
+      templates: [{ ...templates[0], steps: templates[0].steps.map(step => ({ ...step, depends_on: null })) }]
+    }, '2026-10-19T00:00:00.000Z');
+    expect(linear.projects[0].steps.map(step => step.depends_on)).toEqual([null, null, []]);
+
+    const fromJson = parseImportFile(JSON.stringify(linear));
+    expect(fromJson.projects[0].steps.map(step => step.depends_on)).toEqual([null, null, []]);
+    expect(fromJson.templates[0].steps.map(step => step.depends_on)).toEqual([null, null]);
+
+    const [project] = parseImportFile(projectsToCsv(linear)).projects;
+    expect(project.steps.map(step => step.depends_on)).toEqual([null, null, []]);
+    const [template] = parseImportFile(templatesToCsv(linear)).templates;
+    expect(template.steps.map(step => step.depends_on)).toEqual([null, null]);
+  });
+
+  it('keeps template dependencies and team members through their CSVs', () => {
+    const [template] = parseImportFile(templatesToCsv(backup)).templates;
+    expect(template.steps[1].depends_on).toEqual([template.steps[0].key]);
+    expect(parseImportFile(teamToCsv(backup)).team_members).toEqual([{ name: 'Ann', rate: 50, rate_unit: 'hour', weekly_capacity: 5 }]);
+  });
+});
+
+describe('planImport', () => {
+  it('skips existing records and records that repeat in the file', () => {
+    const data = parseImportFile(JSON.stringify({ ...backup, projects: [...backup.projects, backup.projects[0]] }));
+    const plan = planImport(data, { projects: [], teamMembers, templates: [] });
+    expect(plan.team_members[0].duplicate).toBe(true);
+    expect(plan.templates.map(isImportable)).toEqual([true]);
+    expect(plan.projects.map(isImportable)).toEqual([true, false]);
+  });
+
+  it('rejects invalid records and warns about unknown assignees', () => {
+    const plan = planImport({
+      team_members: [],
+      templates: [],
+      projects: [
+        { ...backup.projects[0], end_date: '2026-02-30' },
+        { ...backup.projects[0], name: 'Other', steps: [{ ...backup.projects[0].steps[0], assignees: ['Zed'] }] }
+      ]
+    }, { projects: [], teamMembers, templates: [] });
+    expect(plan.projects[0].errors).toContain('Invalid end date "2026-02-30"');
+    expect(plan.projects[1].errors).toEqual([]);
+    expect(plan.projects[1].warnings).toEqual(['Unknown assignees left unassigned: Zed']);
+  });
+});
+
+describe('resolveAssignees', () => {
+  it('matches names case-insensitively and drops unknown ones', () => {
+    expect(resolveAssignees(['ann ', 'Zed'], teamMembers)).toEqual(['m1']);
+  });
+});
@@ -0,0 +1,44 @@
+import { isAssignedTo } from './team';
+
+// Roles in descending order of what they may do. Editors work on the steps
+// they are assigned to (through the team member linked to their account);
+// viewers only look.
+export const ROLES = [
+  { value: 'admin', label: 'Admin' },
+  { value: 'producer', label: 'Producer' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'viewer', label: 'Viewer' }
+];
+
+const PERMISSIONS = {
+  admin: ['manageUsers', 'manageTeam', 'manageTemplates', 'importData', 'manageProjects', 'deleteProjects', 'editAllSteps'],
+  producer: ['manageTeam', 'manageTemplates', 'importData', 'manageProjects', 'editAllSteps'],
+  editor: ['editAssignedSteps'],
+  viewer: []
+};
+
+// The permission each settings tab needs
+export const SETTINGS_TAB_PERMISSIONS = {
+  team: 'manageTeam',
+  workflow: 'manageTemplates',
+  data: 'importData',
+  users: 'manageUsers'
+};
+
+export const getRoleLabel = (role) => ROLES.find(({ value }) => value === role)?.label || role;
+
+export const can = (user, permission) => Boolean(user && (PERMISSIONS[user.role] || []).includes(permission));
+
+export const canOpenSettings = (user) => Object.values(SETTINGS_TAB_PERMISSIONS).some(permission => can(user, permission));
+
+// Step fields editors may change; the rest (assignees, order, project,
+// client-facing name) stay with producers. Migration 019 enforces the same.
+export const EDITOR_STEP_FIELDS = ['name', 'name_customized', 'status', 'due_date', 'estimated_days', 'depends_on'];
+
+// Editors may only change steps assigned to the team member their account is
+// linked to, and only EDITOR_STEP_FIELDS; `fields` are the ones being changed
+export const canEditStep = (user, step, fields = []) => {
+  if (can(user, 'editAllSteps')) return true;
+  return can(user, 'editAssignedSteps') && user.member_id != null && isAssignedTo(step, user.member_id) &&
+    fields.every(field => EDITOR_STEP_FIELDS.includes(field));
+};
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { can, canEditStep, canOpenSettings } from './permissions';
+
+const admin = { role: 'admin', member_id: null };
+const producer = { role: 'producer', member_id: null };
+const editor = { role: 'editor', member_id: 'ann' };
+const viewer = { role: 'viewer', member_id: 'ann' };
+
+describe('can', () => {
+  it('keeps user management and permanent deletion to admins', () => {
+    expect(can(admin, 'manageUsers')).toBe(true);
+    expect(can(admin, 'deleteProjects')).toBe(true);
+    expect(can(producer, 'manageUsers')).toBe(false);
+    expect(can(producer, 'deleteProjects')).toBe(false);
+    expect(can(producer, 'manageProjects')).toBe(true);
+  });
+
+  it('denies everything to viewers, unknown roles and nobody', () => {
+    expect(can(viewer, 'manageProjects')).toBe(false);
+    expect(can({ role: 'owner' }, 'manageProjects')).toBe(false);
+    expect(can(null, 'manageProjects')).toBe(false);
+  });
+});
+
+describe('canOpenSettings', () => {
+  it('is true for roles with at least one settings tab', () => {
+    expect(canOpenSettings(producer)).toBe(true);
+    expect(canOpenSettings(editor)).toBe(false);
+    expect(canOpenSettings(viewer)).toBe(false);
+  });
+});
+
+describe('canEditStep', () => {
+  const annsStep = { assignee_ids: ['ann', 'bob'] };
+  const bobsStep = { assignee_ids: ['bob'] };
+
+  it('lets admins and producers edit any step', () => {
+    expect(canEditStep(producer, bobsStep)).toBe(true);
+    expect(canEditStep(admin, { assignee_ids: [] })).toBe(true);
+  });
+
+  it('limits editors to the steps of their linked team member', () => {
+    expect(canEditStep(editor, annsStep)).toBe(true);
+    expect(canEditStep(editor, bobsStep)).toBe(false);
+    expect(canEditStep({ ...editor, member_id: null }, annsStep)).toBe(false);
+  });
+
+  it('keeps editors to their own fields of the step', () => {
+    expect(canEditStep(editor, annsStep, ['status', 'due_date'])).toBe(true);
+    expect(canEditStep(editor, annsStep, ['assignee_ids'])).toBe(false);
+    expect(canEditStep(editor, annsStep, ['project_id'])).toBe(false);
+    expect(canEditStep(producer, bobsStep, ['assignee_ids', 'step_order'])).toBe(true);
+  });
+
+  it('never lets viewers edit, even their own steps', () => {
+    expect(canEditStep(viewer, annsStep)).toBe(false);
+  });
+});
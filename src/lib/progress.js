@@ -0,0 +1,15 @@
+// Share of completed steps, as a whole percentage. Steps can be added and
+// removed per project, so a project may have none at all; that counts as 0%.
+export const getProjectProgress = (project) => {
+  const steps = project.project_steps || [];
+  if (steps.length === 0) return 0;
+  const completedSteps = steps.filter(step => step.status === 'completed').length;
+  return Math.round((completedSteps / steps.length) * 100);
+};
+
+export const getProjectStatus = (project) => {
+  const progress = getProjectProgress(project);
+  if (progress === 100) return 'completed';
+  if (progress === 0) return 'not-started';
+  return 'in-progress';
+};
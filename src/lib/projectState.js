@@ -0,0 +1,97 @@
+// Pure helpers for updating the in-memory project list, used to apply
+// changes optimistically and to merge rows pushed by live sync.
+
+// Step tables whose rows are kept on the step under the given key
+export const STEP_CHILD_TABLES = {
+  step_comments: 'comments',
+  revision_rounds: 'revision_rounds',
+  step_assets: 'assets',
+  generation_runs: 'generations',
+  time_entries: 'time_entries'
+};
+
+export const upsertRow = (rows, row) =>
+  (rows.some(existing => existing.id === row.id)
+    ? rows.map(existing => (existing.id === row.id ? { ...existing, ...row } : existing))
+    : [...rows, row]);
+
+export const removeRow = (rows, id) => rows.filter(row => row.id !== id);
+
+export const updateRow = (rows, id, updates) =>
+  rows.map(row => (row.id === id ? { ...row, ...updates } : row));
+
+export const findStep = (projects, stepId) =>
+  projects.flatMap(project => project.project_steps || []).find(step => step.id === stepId);
+
+export const mapSteps = (projects, fn) =>
+  projects.map(project => ({ ...project, project_steps: (project.project_steps || []).map(fn) }));
+
+// changes: [{ id, ...updates }] as passed to repository.updateProjectSteps
+export const applyStepChanges = (projects, changes) =>
+  mapSteps(projects, step => {
+    const change = changes.find(({ id }) => id === step.id);
+    if (!change) return step;
+    const { id, ...updates } = change;
+    return { ...step, ...updates };
+  });
+
+// The changes that put the touched fields back to their values in `projects`
+export const invertStepChanges = (projects, changes) =>
+  changes
+    .map(({ id, ...updates }) => {
+      const step = findStep(projects, id);
+      if (!step) return null;
+      return Object.keys(updates).reduce((inverse, key) => ({ ...inverse, [key]: step[key] ?? null }), { id });
+    })
+    .filter(Boolean);
+
+export const invertRowUpdates = (rows, id, updates) => {
+  const row = rows.find(existing => existing.id === id);
+  return Object.keys(updates).reduce((inverse, key) => ({ ...inverse, [key]: row?.[key] ?? null }), {});
+};
+
+// Puts a project's steps in the order of `orderedIds` and renumbers step_order to match
+export const setProjectStepOrder = (projects, projectId, orderedIds) =>
+  projects.map(project => (project.id !== projectId ? project : {
+    ...project,
+    project_steps: orderedIds
+      .map(id => (project.project_steps || []).find(step => step.id === id))
+      .filter(Boolean)
+      .map((step, index) => ({ ...step, step_order: index + 1 }))
+  }));
+
+const byStepOrder = (a, b) => a.step_order - b.step_order;
+
+// Merges a step row from the store, keeping the child records already loaded.
+// Steps are re-sorted since the row may come from a reorder elsewhere.
+export const mergeStepRow = (projects, row) =>
+  projects.map(project => (project.id !== row.project_id ? project : {
+    ...project,
+    project_steps: (project.project_steps || [])
+      .map(step => (step.id === row.id ? { ...step, ...row } : step))
+      .sort(byStepOrder)
+  }));
+
+// Applies a plan from planTemplateSync once saved; `inserted` are the step
+// rows the store created for plan.inserts
+export const applyStepSync = (projects, projectId, { updates, removals }, inserted) =>
+  applyStepChanges(projects.map(project => (project.id !== projectId ? project : {
+    ...project,
+    project_steps: [...(project.project_steps || []).filter(step => !removals.includes(step.id)), ...inserted]
+  })), updates)
+    .map(project => (project.id !== projectId ? project : { ...project, project_steps: [...project.project_steps].sort(byStepOrder) }));
+
+// Adds or updates a child record (comment, asset, ...) on its step
+export const upsertStepChild = (projects, table, row) => {
+  const key = STEP_CHILD_TABLES[table];
+  return mapSteps(projects, step => (step.id === row.step_id ? { ...step, [key]: upsertRow(step[key] || [], row) } : step));
+};
+
+export const removeStepChild = (projects, table, id) => {
+  const key = STEP_CHILD_TABLES[table];
+  return mapSteps(projects, step => ({ ...step, [key]: removeRow(step[key] || [], id) }));
+};
+
+// Same as applyStepChanges, for the steps nested in workflow templates
+export const updateTemplateStep = (templates, stepId, updates) =>
+  templates.map(template => ({ ...template, steps: updateRow(template.steps, stepId, updates) }));
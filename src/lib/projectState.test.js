@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { mergeStepRow, applyStepSync } from './projectState';
+import { getPrerequisiteIds } from './dependencies';
+
+const projects = [{
+  id: 'p1',
+  project_steps: [
+    { id: 'a', project_id: 'p1', name: 'Script', step_order: 1, depends_on: null, comments: [{ id: 'c1' }] },
+    { id: 'b', project_id: 'p1', name: 'Edit', step_order: 2, depends_on: null },
+    { id: 'c', project_id: 'p1', name: 'Grade', step_order: 3, depends_on: null }
+  ]
+}];
+
+describe('mergeStepRow', () => {
+  it('keeps child records loaded on the step', () => {
+    const [project] = mergeStepRow(projects, { id: 'a', project_id: 'p1', name: 'Script v2', step_order: 1 });
+    expect(project.project_steps[0]).toMatchObject({ name: 'Script v2', comments: [{ id: 'c1' }] });
+  });
+
+  it('re-sorts the steps when another client reorders them', () => {
+    const reordered = [
+      { id: 'c', project_id: 'p1', step_order: 1 },
+      { id: 'a', project_id: 'p1', step_order: 2 },
+      { id: 'b', project_id: 'p1', step_order: 3 }
+    ].reduce(mergeStepRow, projects);
+    const steps = reordered[0].project_steps;
+    expect(steps.map(step => step.id)).toEqual(['c', 'a', 'b']);
+    expect(getPrerequisiteIds(steps, steps[1])).toEqual(['c']);
+  });
+});
+
+describe('applyStepSync', () => {
+  it('removes, updates and adds steps, then sorts them', () => {
+    const plan = { updates: [{ id: 'b', name: 'Edit v2', step_order: 1 }, { id: 'c', step_order: 3 }], removals: ['a'] };
+    const [project] = applyStepSync(projects, 'p1', plan, [{ id: 'd', project_id: 'p1', name: 'Music', step_order: 2 }]);
+    expect(project.project_steps.map(({ id, name }) => [id, name])).toEqual([['b', 'Edit v2'], ['d', 'Music'], ['c', 'Grade']]);
+  });
+});
@@ -0,0 +1,44 @@
+// Review steps go through numbered revision rounds; each round ends either
+// approved or with changes requested, which usually means another round.
+
+export const ROUND_STATUSES = {
+  'in-review': { label: 'In Review', className: 'bg-blue-100 text-blue-800' },
+  'changes-requested': { label: 'Changes Requested', className: 'bg-amber-100 text-amber-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' }
+};
+
+// Projects with a step on this many rounds or more are flagged as stuck in feedback
+export const STUCK_AFTER_ROUNDS = 3;
+
+const REVIEW_STEP_PATTERN = /review|feedback|approval/i;
+
+export const isReviewStep = (step) => REVIEW_STEP_PATTERN.test(step.name || '');
+
+export const getRounds = (step) =>
+  [...(step.revision_rounds || [])].sort((a, b) => a.round_number - b.round_number);
+
+export const getCurrentRound = (step) => getRounds(step).slice(-1)[0] || null;
+
+// A new round can start before the first one and after changes were requested
+export const canStartRound = (step) => {
+  const current = getCurrentRound(step);
+  return !current || current.status === 'changes-requested';
+};
+
+// Revisions are the rounds that sent the work back for changes
+export const getRevisionCount = (project) =>
+  (project.project_steps || [])
+    .flatMap(getRounds)
+    .filter(round => round.status === 'changes-requested').length;
+
+export const isStuckInReview = (project) =>
+  (project.project_steps || []).some(step => getRounds(step).length >= STUCK_AFTER_ROUNDS &&
+    getCurrentRound(step).status !== 'approved');
+
+// Top-level comments, oldest first, each with its replies
+export const getCommentThreads = (comments = []) => {
+  const sorted = [...comments].sort((a, b) => (a.created_at < b.created_at ? -1 : 1));
+  return sorted
+    .filter(comment => !comment.parent_id)
+    .map(comment => ({ comment, replies: sorted.filter(reply => reply.parent_id === comment.id) }));
+};
@@ -0,0 +1,77 @@
+import { addDays, addWorkingDays, daysBetween, nextWorkingDay } from './dates';
+import { getDependentIds, getPrerequisites, sortByDependencies } from './dependencies';
+
+// Schedules each step to start the working day after its latest prerequisite
+// is due (or on startDate when it has none) and to take estimated_days working
+// days, so independent steps run in parallel. Steps for which keep(step) is
+// true stay where they are but still push back the steps that depend on them.
+// Returns [{ id, due_date }] for the scheduled steps, in the order passed in.
+export const planSteps = (steps, startDate, { skipWeekends = true, keep = () => false } = {}) => {
+  const dueDates = new Map();
+
+  sortByDependencies(steps).forEach(step => {
+    if (keep(step)) {
+      dueDates.set(step.id, step.due_date);
+      return;
+    }
+    const earliest = getPrerequisites(steps, step).reduce((latest, prerequisite) => {
+      const due = dueDates.get(prerequisite.id);
+      return due && (!latest || addDays(due, 1) > latest) ? addDays(due, 1) : latest;
+    }, startDate);
+    const start = earliest ? nextWorkingDay(earliest, skipWeekends) : null;
+    dueDates.set(step.id, start
+      ? addWorkingDays(start, Math.max((step.estimated_days || 1) - 1, 0), skipWeekends)
+      : step.due_date);
+  });
+
+  return steps.filter(step => !keep(step)).map(step => ({ id: step.id, due_date: dueDates.get(step.id) }));
+};
+
+// Re-plans the unfinished steps that depend on stepId so they follow on from
+// anchorDate, e.g. the new due date of a slipped step or the day a step was
+// completed early. Returns only the steps whose due date actually moves.
+export const replanAfter = (steps, stepId, anchorDate, options) => {
+  const dependents = getDependentIds(steps, stepId);
+  if (!anchorDate || dependents.size === 0) return [];
+  const anchored = steps.map(step => (step.id === stepId ? { ...step, due_date: anchorDate } : step));
+  return planSteps(anchored, null, {
+    ...options,
+    keep: step => !dependents.has(step.id) || step.status === 'completed'
+  }).filter(({ id, due_date }) => steps.find(step => step.id === id).due_date !== due_date);
+};
+
+// Re-plans a step and everything depending on it, e.g. after its
+// prerequisites changed. Returns only the steps whose due date moves.
+export const replanStep = (steps, stepId, startDate, options) => {
+  const affected = new Set([stepId, ...getDependentIds(steps, stepId)]);
+  return planSteps(steps, startDate, {
+    ...options,
+    keep: step => !affected.has(step.id) || step.status === 'completed'
+  }).filter(({ id, due_date }) => steps.find(step => step.id === id).due_date !== due_date);
+};
+
+// Re-plans every unfinished step from the project start; completed steps keep their dates
+export const replanProject = (project) =>
+  planSteps(project.project_steps || [], project.start_date, {
+    skipWeekends: project.skip_weekends !== false,
+    keep: step => step.status === 'completed'
+  });
+
+// First working day of a scheduled step, counting back estimated_days from its due date
+export const getStepStartDate = (step, skipWeekends = true) =>
+  step.due_date
+    ? addWorkingDays(step.due_date, -Math.max((step.estimated_days || 1) - 1, 0), skipWeekends)
+    : null;
+
+export const getPlannedEndDate = (project) =>
+  (project.project_steps || []).reduce(
+    (latest, step) => (step.due_date && (!latest || step.due_date > latest) ? step.due_date : latest),
+    null
+  );
+
+// Days the planned schedule runs past the project's end_date (0 when it fits)
+export const getScheduleOverrun = (project) => {
+  const plannedEnd = getPlannedEndDate(project);
+  if (!plannedEnd || !project.end_date) return 0;
+  return Math.max(daysBetween(project.end_date, plannedEnd), 0);
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { planSteps, replanAfter, replanProject, getScheduleOverrun, getStepStartDate } from './schedule';
+
+// 2026-10-19 is a Monday
+const steps = [
+  { id: 'script', step_order: 1, estimated_days: 2, depends_on: null },
+  { id: 'board', step_order: 2, estimated_days: 2, depends_on: null },
+  { id: 'edit', step_order: 3, estimated_days: 3, depends_on: null }
+];
+
+describe('planSteps', () => {
+  it('schedules linear steps back to back, skipping weekends', () => {
+    expect(planSteps(steps, '2026-10-19')).toEqual([
+      { id: 'script', due_date: '2026-10-20' },
+      { id: 'board', due_date: '2026-10-22' },
+      { id: 'edit', due_date: '2026-10-27' }
+    ]);
+  });
+
+  it('counts weekends as working days when asked to', () => {
+    expect(planSteps(steps, '2026-10-19', { skipWeekends: false }).map(({ due_date }) => due_date))
+      .toEqual(['2026-10-20', '2026-10-22', '2026-10-25']);
+  });
+
+  it('runs independent steps in parallel', () => {
+    const parallel = [
+      { id: 'a', estimated_days: 2, depends_on: [] },
+      { id: 'b', estimated_days: 3, depends_on: [] },
+      { id: 'c', estimated_days: 1, depends_on: ['a', 'b'] }
+    ];
+    expect(planSteps(parallel, '2026-10-19')).toEqual([
+      { id: 'a', due_date: '2026-10-20' },
+      { id: 'b', due_date: '2026-10-21' },
+      { id: 'c', due_date: '2026-10-22' }
+    ]);
+  });
+
+  it('keeps steps in place but still pushes back their dependents', () => {
+    const plan = planSteps(
+      [{ ...steps[0], due_date: '2026-10-23' }, steps[1]],
+      '2026-10-19',
+      { keep: step => step.id === 'script' }
+    );
+    expect(plan).toEqual([{ id: 'board', due_date: '2026-10-27' }]);
+  });
+});
+
+describe('replanAfter', () => {
+  it('moves only unfinished dependents of a slipped step', () => {
+    const scheduled = [
+      { ...steps[0], due_date: '2026-10-20', status: 'in-progress' },
+      { ...steps[1], due_date: '2026-10-22', status: 'pending' },
+      { ...steps[2], due_date: '2026-10-27', status: 'pending' }
+    ];
+    expect(replanAfter(scheduled, 'script', '2026-10-21')).toEqual([
+      { id: 'board', due_date: '2026-10-23' },
+      { id: 'edit', due_date: '2026-10-28' }
+    ]);
+  });
+
+  it('returns nothing for a step without dependents', () => {
+    expect(replanAfter(steps, 'edit', '2026-10-30')).toEqual([]);
+  });
+});
+
+describe('replanProject', () => {
+  it('leaves completed steps where they are', () => {
+    const project = {
+      start_date: '2026-10-19',
+      project_steps: [
+        { ...steps[0], status: 'completed', due_date: '2026-10-21' },
+        { ...steps[1], status: 'pending', due_date: null }
+      ]
+    };
+    expect(replanProject(project)).toEqual([{ id: 'board', due_date: '2026-10-23' }]);
+  });
+});
+
+describe('getScheduleOverrun', () => {
+  it('is the number of days the last due date runs past the end date', () => {
+    const project = { end_date: '2026-10-23', project_steps: [{ due_date: '2026-10-20' }, { due_date: '2026-10-27' }] };
+    expect(getScheduleOverrun(project)).toBe(4);
+    expect(getScheduleOverrun({ ...project, end_date: '2026-10-30' })).toBe(0);
+  });
+});
+
+describe('getStepStartDate', () => {
+  it('counts back the estimated working days from the due date', () => {
+    expect(getStepStartDate({ due_date: '2026-10-27', estimated_days: 3 })).toBe('2026-10-23');
+    expect(getStepStartDate({ due_date: null, estimated_days: 3 })).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+import { getProjectProgress } from './progress';
+import { getAssets } from './assets';
+
+// Query parameter that switches the app into the read-only client view
+export const SHARE_PARAM = 'share';
+
+// How many upcoming milestones the client view lists
+const MILESTONE_LIMIT = 5;
+
+// 24 random bytes as hex; long enough that links can't be guessed
+export const createShareToken = () =>
+  Array.from(globalThis.crypto.getRandomValues(new Uint8Array(24)))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+export const getShareToken = (search = window.location.search) =>
+  new URLSearchParams(search).get(SHARE_PARAM);
+
+export const getShareUrl = (token, location = window.location) =>
+  `${location.origin}${location.pathname}?${SHARE_PARAM}=${token}`;
+
+export const getClientStepName = (step) => step.client_name?.trim() || step.name;
+
+// Everything the client is allowed to see, and nothing else: no assignees,
+// comments, notes, time, costs or generation details
+export const toClientView = (project) => {
+  const steps = project.project_steps || [];
+  return {
+    name: project.name,
+    client: project.client,
+    start_date: project.start_date,
+    end_date: project.end_date,
+    progress: getProjectProgress(project),
+    steps: steps.map(step => ({
+      id: step.id,
+      name: getClientStepName(step),
+      status: step.status === 'completed' ? 'completed' : step.status === 'pending' ? 'upcoming' : 'in-progress',
+      due_date: step.due_date || null
+    })),
+    milestones: steps
+      .filter(step => step.status !== 'completed' && step.due_date)
+      .sort((a, b) => (a.due_date < b.due_date ? -1 : 1))
+      .slice(0, MILESTONE_LIMIT)
+      .map(step => ({ id: step.id, name: getClientStepName(step), due_date: step.due_date })),
+    deliverables: steps
+      .flatMap(getAssets)
+      .filter(asset => asset.approved_at)
+      .sort((a, b) => (a.approved_at < b.approved_at ? 1 : -1))
+      .map(asset => ({ id: asset.id, label: asset.label, version: asset.version, url: asset.url, approved_at: asset.approved_at }))
+  };
+};
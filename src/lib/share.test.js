@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { toClientView, getShareToken, getShareUrl } from './share';
+
+const project = {
+  id: 'p1',
+  name: 'Promo',
+  client: 'Acme',
+  start_date: '2026-10-19',
+  end_date: '2026-10-30',
+  budget: 5000,
+  description: 'Internal notes',
+  project_steps: [
+    {
+      id: 'a',
+      name: 'Rough cut v3',
+      client_name: 'First edit',
+      status: 'completed',
+      due_date: '2026-10-20',
+      assignee_ids: ['m1'],
+      comments: [{ id: 'c1', body: 'Internal' }],
+      time_entries: [{ hours: 4 }],
+      assets: [
+        { id: 'x1', label: 'Cut', version: 1, url: 'https://example.com/v1', note: 'rough', approved_at: null },
+        { id: 'x2', label: 'Cut', version: 2, url: 'https://example.com/v2', note: 'ok', approved_at: '2026-10-20T10:00:00Z' }
+      ]
+    },
+    { id: 'b', name: 'Grade', client_name: ' ', status: 'blocked', due_date: '2026-10-28', assignee_ids: ['m1'] },
+    { id: 'c', name: 'Delivery', status: 'pending', due_date: '2026-10-23' },
+    { id: 'd', name: 'Music', status: 'pending', due_date: null }
+  ]
+};
+
+describe('toClientView', () => {
+  const view = toClientView(project);
+
+  it('exposes only client-facing fields', () => {
+    expect(Object.keys(view).sort()).toEqual(['client', 'deliverables', 'end_date', 'milestones', 'name', 'progress', 'start_date', 'steps']);
+    expect(Object.keys(view.steps[0]).sort()).toEqual(['due_date', 'id', 'name', 'status']);
+    expect(view.progress).toBe(25);
+  });
+
+  it('uses client step names and simplifies statuses', () => {
+    expect(view.steps.map(({ name, status }) => [name, status])).toEqual([
+      ['First edit', 'completed'],
+      ['Grade', 'in-progress'],
+      ['Delivery', 'upcoming'],
+      ['Music', 'upcoming']
+    ]);
+  });
+
+  it('lists upcoming milestones by due date and approved deliverables only', () => {
+    expect(view.milestones.map(({ id }) => id)).toEqual(['c', 'b']);
+    expect(view.deliverables).toEqual([
+      { id: 'x2', label: 'Cut', version: 2, url: 'https://example.com/v2', approved_at: '2026-10-20T10:00:00Z' }
+    ]);
+  });
+});
+
+describe('share links', () => {
+  it('reads the token from the query string and builds the link', () => {
+    expect(getShareToken('?share=abc')).toBe('abc');
+    expect(getShareToken('')).toBeNull();
+    expect(getShareUrl('abc', { origin: 'https://tracker.example', pathname: '/app/' })).toBe('https://tracker.example/app/?share=abc');
+  });
+});
@@ -0,0 +1,42 @@
+import { today } from './dates';
+import { arePrerequisitesComplete, getPrerequisiteIds } from './dependencies';
+import { replanAfter, replanStep } from './schedule';
+
+// Works out every step change implied by updating one step of a project: the
+// update itself, starting the steps that become ready when one is completed,
+// and shifting dependent due dates when a step finishes, its due date moves
+// or its prerequisites change.
+// Returns [{ id, ...updates }] ready for repository.updateProjectSteps.
+export const planStepChanges = (project, stepId, updates) => {
+  const scheduleOptions = { skipWeekends: project.skip_weekends !== false };
+  const steps = (project.project_steps || []).map(step =>
+    step.id === stepId ? { ...step, ...updates } : step
+  );
+  const changes = new Map([[stepId, updates]]);
+  const addChange = (id, stepUpdates) => {
+    changes.set(id, { ...changes.get(id), ...stepUpdates });
+  };
+
+  if (updates.status === 'completed') {
+    // A waiting step is ready once its last prerequisite is done
+    steps
+      .filter(step => step.status === 'pending' && getPrerequisiteIds(steps, step).includes(stepId))
+      .filter(step => arePrerequisitesComplete(steps, step))
+      .forEach(step => addChange(step.id, { status: 'in-progress' }));
+    // Finishing early or late moves everything downstream with it
+    replanAfter(steps, stepId, today(), scheduleOptions)
+      .forEach(({ id, due_date }) => addChange(id, { due_date }));
+  }
+
+  if (updates.due_date) {
+    replanAfter(steps, stepId, updates.due_date, scheduleOptions)
+      .forEach(({ id, due_date }) => addChange(id, { due_date }));
+  }
+
+  if (updates.depends_on) {
+    replanStep(steps, stepId, project.start_date, scheduleOptions)
+      .forEach(({ id, due_date }) => addChange(id, { due_date }));
+  }
+
+  return [...changes].map(([id, stepUpdates]) => ({ id, ...stepUpdates }));
+};
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { planStepChanges } from './stepUpdates';
+
+// 2026-10-19 is a Monday
+const project = {
+  start_date: '2026-10-19',
+  skip_weekends: true,
+  project_steps: [
+    { id: 'a', status: 'in-progress', estimated_days: 2, due_date: '2026-10-20', depends_on: null },
+    { id: 'b', status: 'pending', estimated_days: 2, due_date: '2026-10-22', depends_on: null },
+    { id: 'c', status: 'pending', estimated_days: 3, due_date: '2026-10-27', depends_on: null }
+  ]
+};
+
+const withDependencies = (dependsOn) => ({
+  ...project,
+  project_steps: project.project_steps.map(step => ({ ...step, depends_on: dependsOn[step.id] ?? step.depends_on }))
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('planStepChanges', () => {
+  it('only changes the step for updates that touch nothing else', () => {
+    expect(planStepChanges(project, 'b', { estimated_days: 4 })).toEqual([{ id: 'b', estimated_days: 4 }]);
+  });
+
+  it('starts the next step and moves downstream due dates when a step is completed', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 9, 21, 12));
+    expect(planStepChanges(project, 'a', { status: 'completed' })).toEqual([
+      { id: 'a', status: 'completed' },
+      { id: 'b', status: 'in-progress', due_date: '2026-10-23' },
+      { id: 'c', due_date: '2026-10-28' }
+    ]);
+  });
+
+  it('waits for every prerequisite before starting a step', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 9, 20, 12));
+    const parallel = withDependencies({ a: [], b: [], c: ['a', 'b'] });
+    expect(planStepChanges(parallel, 'a', { status: 'completed' })).toEqual([{ id: 'a', status: 'completed' }]);
+  });
+
+  it('shifts dependent steps when a due date moves', () => {
+    expect(planStepChanges(project, 'a', { due_date: '2026-10-21' })).toEqual([
+      { id: 'a', due_date: '2026-10-21' },
+      { id: 'b', due_date: '2026-10-23' },
+      { id: 'c', due_date: '2026-10-28' }
+    ]);
+  });
+
+  it('re-plans a step and its dependents when its prerequisites change', () => {
+    expect(planStepChanges(project, 'b', { depends_on: [] })).toEqual([
+      { id: 'b', depends_on: [], due_date: '2026-10-20' },
+      { id: 'c', due_date: '2026-10-23' }
+    ]);
+  });
+});
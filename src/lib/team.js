@@ -0,0 +1,28 @@
+// Steps reference team members by id through assignee_ids, so names are
+// always looked up and renaming a member never orphans their steps.
+
+export const getAssigneeIds = (step) => step.assignee_ids || [];
+
+export const isAssignedTo = (step, memberId) => getAssigneeIds(step).includes(memberId);
+
+export const getMemberName = (teamMembers, id) =>
+  teamMembers.find(member => member.id === id)?.name || 'Former member';
+
+export const formatAssignees = (step, teamMembers) => {
+  const ids = getAssigneeIds(step);
+  return ids.length > 0 ? ids.map(id => getMemberName(teamMembers, id)).join(', ') : 'Unassigned';
+};
+
+// Unfinished steps across all projects that the member is assigned to
+export const getOpenStepsForMember = (projects, memberId) =>
+  projects.flatMap(project =>
+    (project.project_steps || [])
+      .filter(step => step.status !== 'completed' && isAssignedTo(step, memberId))
+      .map(step => ({ project, step }))
+  );
+
+// Swaps one assignee for another (or drops them when replacementId is empty)
+export const replaceAssignee = (step, memberId, replacementId) => {
+  const ids = getAssigneeIds(step).filter(id => id !== memberId);
+  return replacementId && !ids.includes(replacementId) ? [...ids, replacementId] : ids;
+};
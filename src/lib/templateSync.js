@@ -0,0 +1,114 @@
+// Workflow step ordering, and bringing projects created from a template up to
+// date with later edits to it. Project steps remember the template step they
+// were copied from in template_step_id; steps without one are left alone.
+
+const byOrder = (a, b) => a.step_order - b.step_order;
+
+// step_order changes that renumber steps 1..n in the given order, closing gaps
+export const normalizeOrder = (steps) =>
+  steps
+    .map((step, index) => ({ id: step.id, step_order: index + 1 }))
+    .filter(({ id, step_order }) => steps.find(step => step.id === id).step_order !== step_order);
+
+// Steps in their current order with `movedId` placed where `targetId` is
+export const moveStep = (steps, movedId, targetId) => {
+  const ordered = [...steps].sort(byOrder);
+  const moved = ordered.find(step => step.id === movedId);
+  if (!moved || movedId === targetId) return ordered;
+  const rest = ordered.filter(step => step.id !== movedId);
+  const targetIndex = ordered.findIndex(step => step.id === targetId);
+  const index = targetIndex === -1 ? rest.length : targetIndex;
+  return [...rest.slice(0, index), moved, ...rest.slice(index)];
+};
+
+// Projects created from the template that are still being worked on
+export const getInFlightProjects = (projects, template) =>
+  projects.filter(project =>
+    project.template_id === template.id &&
+    !project.archived_at &&
+    !project.deleted_at &&
+    !(project.project_steps || []).every(step => step.status === 'completed'));
+
+// What applying the template to a project would change. Completed steps are
+// never renamed or removed (they only shift down when a step is inserted
+// before them), and started steps are renamed but not removed, so no work is
+// lost. Changes made to the project itself win: steps renamed or removed in
+// the project stay that way.
+//   add:    template steps the project doesn't have and didn't remove
+//   rename: [{ step, name }] for open steps whose template step was renamed
+//   remove: pending steps whose template step was deleted
+//   kept:   started steps whose template step was deleted
+export const diffProjectWithTemplate = (project, template) => {
+  const steps = project.project_steps || [];
+  const templateIds = new Set(template.steps.map(step => step.id));
+  const linked = (templateStep) => steps.find(step => step.template_step_id === templateStep.id);
+  const removedIds = (project.removed_template_step_ids || []).map(String);
+  const orphaned = steps.filter(step => step.template_step_id != null && !templateIds.has(step.template_step_id) && step.status !== 'completed');
+
+  return {
+    add: [...template.steps].sort(byOrder)
+      .filter(templateStep => !linked(templateStep) && !removedIds.includes(String(templateStep.id))),
+    rename: template.steps
+      .map(templateStep => ({ step: linked(templateStep), name: templateStep.name }))
+      .filter(({ step, name }) => step && step.status !== 'completed' && !step.name_customized && step.name !== name),
+    remove: orphaned.filter(step => step.status === 'pending'),
+    kept: orphaned.filter(step => step.status !== 'pending')
+  };
+};
+
+export const hasTemplateChanges = (diff) => diff.add.length + diff.rename.length + diff.remove.length > 0;
+
+// Turns a diff into the writes that apply it:
+//   updates: [{ id, ...updates }] for renamed steps, step_order and pruned depends_on
+//   inserts: new steps keyed by their template step id, with depends_on as keys
+//            (see insertSteps); knownIds maps keys of existing steps to their ids
+//   removals: ids of the steps to delete
+// Added steps go right after the step copied from their template predecessor,
+// and every step is then renumbered.
+export const planTemplateSync = (project, template, diff) => {
+  const removedIds = new Set(diff.remove.map(step => step.id));
+  const remaining = (project.project_steps || []).filter(step => !removedIds.has(step.id)).sort(byOrder);
+  const knownIds = new Map(remaining.filter(step => step.template_step_id != null).map(step => [step.template_step_id, step.id]));
+
+  const ordered = [...remaining];
+  const templateOrder = [...template.steps].sort(byOrder);
+  diff.add.forEach(templateStep => {
+    const predecessors = templateOrder.slice(0, templateOrder.indexOf(templateStep)).reverse();
+    const anchorIndex = predecessors
+      .map(previous => ordered.findIndex(step => step.template_step_id === previous.id))
+      .find(index => index !== -1) ?? -1;
+    ordered.splice(anchorIndex + 1, 0, {
+      key: templateStep.id,
+      template_step_id: templateStep.id,
+      project_id: project.id,
+      name: templateStep.name,
+      status: 'pending',
+      estimated_days: templateStep.estimated_days,
+      due_date: null,
+      depends_on: templateStep.depends_on ?? null
+    });
+  });
+
+  const renamed = new Map(diff.rename.map(({ step, name }) => [step.id, name]));
+  const updates = ordered
+    .filter(step => step.id !== undefined)
+    .map(step => {
+      const change = {};
+      const stepOrder = ordered.indexOf(step) + 1;
+      if (step.step_order !== stepOrder) change.step_order = stepOrder;
+      if (renamed.has(step.id)) change.name = renamed.get(step.id);
+      const dependsOn = (step.depends_on || []).filter(id => !removedIds.has(id));
+      if (step.status !== 'completed' && dependsOn.length !== (step.depends_on || []).length) change.depends_on = dependsOn;
+      return Object.keys(change).length > 0 ? { id: step.id, ...change } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    updates,
+    inserts: ordered
+      .filter(step => step.id === undefined)
+      .map(step => ({ ...step, step_order: ordered.indexOf(step) + 1 })),
+    removals: [...removedIds],
+    knownIds
+  };
+};
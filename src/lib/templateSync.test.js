@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeOrder, moveStep, getInFlightProjects, diffProjectWithTemplate, hasTemplateChanges, planTemplateSync } from './templateSync';
+
+const template = {
+  id: 't1',
+  steps: [
+    { id: 't-script', name: 'Script', step_order: 1, estimated_days: 2, depends_on: null },
+    { id: 't-board', name: 'Storyboard v2', step_order: 2, estimated_days: 2, depends_on: null },
+    { id: 't-music', name: 'Music', step_order: 3, estimated_days: 1, depends_on: ['t-script'] },
+    { id: 't-edit', name: 'Edit', step_order: 4, estimated_days: 3, depends_on: null }
+  ]
+};
+
+const project = {
+  id: 'p1',
+  template_id: 't1',
+  project_steps: [
+    { id: 's1', template_step_id: 't-script', name: 'Script', status: 'completed', step_order: 1 },
+    { id: 's2', template_step_id: 't-board', name: 'Storyboard', status: 'pending', step_order: 2 },
+    { id: 's3', template_step_id: 't-old', name: 'Old', status: 'pending', step_order: 3 },
+    { id: 's4', template_step_id: 't-gone', name: 'Gone', status: 'in-progress', step_order: 4 },
+    { id: 's5', template_step_id: 't-edit', name: 'Edit', status: 'pending', step_order: 5, depends_on: ['s3', 's1'] },
+    { id: 's6', template_step_id: null, name: 'Custom', status: 'pending', step_order: 7 }
+  ]
+};
+
+describe('step ordering', () => {
+  it('renumbers only the steps that are out of place', () => {
+    expect(normalizeOrder([{ id: 'a', step_order: 1 }, { id: 'b', step_order: 3 }, { id: 'c', step_order: 4 }]))
+      .toEqual([{ id: 'b', step_order: 2 }, { id: 'c', step_order: 3 }]);
+  });
+
+  it('moves a step to where the target is', () => {
+    expect(moveStep(template.steps, 't-edit', 't-board').map(step => step.id)).toEqual(['t-script', 't-edit', 't-board', 't-music']);
+  });
+});
+
+describe('getInFlightProjects', () => {
+  it('leaves out archived, trashed, finished and other templates\' projects', () => {
+    const done = { ...project, id: 'p2', project_steps: [{ id: 'x', status: 'completed' }] };
+    const projects = [project, done, { ...project, id: 'p3', archived_at: '2026-10-01' }, { ...project, id: 'p4', template_id: 't2' }];
+    expect(getInFlightProjects(projects, template).map(({ id }) => id)).toEqual(['p1']);
+  });
+});
+
+describe('diffProjectWithTemplate', () => {
+  it('adds new steps, renames open ones and removes only pending orphans', () => {
+    const diff = diffProjectWithTemplate(project, template);
+    expect(diff.add.map(step => step.id)).toEqual(['t-music']);
+    expect(diff.rename).toEqual([{ step: project.project_steps[1], name: 'Storyboard v2' }]);
+    expect(diff.remove.map(step => step.id)).toEqual(['s3']);
+    expect(diff.kept.map(step => step.id)).toEqual(['s4']);
+    expect(hasTemplateChanges(diff)).toBe(true);
+  });
+
+  it('keeps the project\'s own renames and removals', () => {
+    const customized = {
+      ...project,
+      removed_template_step_ids: ['t-music'],
+      project_steps: project.project_steps.map(step => (step.id === 's2' ? { ...step, name: 'Boards', name_customized: true } : step))
+    };
+    const diff = diffProjectWithTemplate(customized, template);
+    expect(diff.add).toEqual([]);
+    expect(diff.rename).toEqual([]);
+  });
+
+  it('never renames completed steps', () => {
+    const renamed = { ...template, steps: template.steps.map(step => (step.id === 't-script' ? { ...step, name: 'Scripting' } : step)) };
+    expect(diffProjectWithTemplate(project, renamed).rename.map(({ step }) => step.id)).toEqual(['s2']);
+  });
+});
+
+describe('planTemplateSync', () => {
+  it('inserts after the template predecessor, renumbers and prunes dependencies', () => {
+    const plan = planTemplateSync(project, template, diffProjectWithTemplate(project, template));
+    expect(plan.updates).toEqual([
+      { id: 's2', name: 'Storyboard v2' },
+      { id: 's5', depends_on: ['s1'] },
+      { id: 's6', step_order: 6 }
+    ]);
+    expect(plan.inserts).toEqual([{
+      key: 't-music',
+      template_step_id: 't-music',
+      project_id: 'p1',
+      name: 'Music',
+      status: 'pending',
+      estimated_days: 1,
+      due_date: null,
+      depends_on: ['t-script'],
+      step_order: 3
+    }]);
+    expect(plan.removals).toEqual(['s3']);
+    expect(plan.knownIds.get('t-script')).toBe('s1');
+  });
+});
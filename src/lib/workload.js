@@ -0,0 +1,54 @@
+import { addDays, isWeekend, parseDate } from './dates';
+import { getStepStartDate } from './schedule';
+import { getAssigneeIds } from './team';
+
+export const DEFAULT_WEEKLY_CAPACITY = 5;
+
+// Monday of the week containing the given date
+export const startOfWeek = (value) => {
+  const offset = (parseDate(value).getUTCDay() + 6) % 7;
+  return addDays(value, -offset);
+};
+
+// Working days of a step that fall within [weekStart, weekStart + 6]
+const daysInWeek = (step, weekStart, skipWeekends) => {
+  const start = getStepStartDate(step, skipWeekends);
+  const weekEnd = addDays(weekStart, 6);
+  if (!start || start > weekEnd || step.due_date < weekStart) return 0;
+
+  let days = 0;
+  for (let date = start > weekStart ? start : weekStart; date <= step.due_date && date <= weekEnd; date = addDays(date, 1)) {
+    if (!skipWeekends || !isWeekend(date)) days++;
+  }
+  return days;
+};
+
+// Builds per-member load for each week: the scheduled days of every open step
+// falling in that week, and the steps contributing to it. Unassigned work is keyed by ''.
+// Returns { [memberId]: { [weekStart]: { days, steps: [{ project, step, days }] } } }
+export const getWorkload = (projects, weekStarts) => {
+  const workload = {};
+
+  projects.forEach(project => {
+    const skipWeekends = project.skip_weekends !== false;
+    (project.project_steps || [])
+      .filter(step => step.status !== 'completed' && step.due_date)
+      .forEach(step => {
+        // Every assignee of a shared step (e.g. editor and reviewer) is booked for it
+        const assignees = getAssigneeIds(step).length > 0 ? getAssigneeIds(step) : [''];
+        weekStarts.forEach(weekStart => {
+          const days = daysInWeek(step, weekStart, skipWeekends);
+          if (days === 0) return;
+          assignees.forEach(assignee => {
+            workload[assignee] = workload[assignee] || {};
+            const week = workload[assignee][weekStart] || { days: 0, steps: [] };
+            week.days += days;
+            week.steps.push({ project, step, days });
+            workload[assignee][weekStart] = week;
+          });
+        });
+      });
+  });
+
+  return workload;
+};
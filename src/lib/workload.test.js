@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { startOfWeek, getWorkload } from './workload';
+
+// 2026-10-19 and 2026-10-26 are Mondays
+const weeks = ['2026-10-19', '2026-10-26'];
+
+const project = {
+  id: 'p1',
+  skip_weekends: true,
+  project_steps: [
+    // Friday 2026-10-23 to Tuesday 2026-10-27
+    { id: 'edit', status: 'in-progress', estimated_days: 3, due_date: '2026-10-27', assignee_ids: ['m1', 'm2'] },
+    { id: 'music', status: 'pending', estimated_days: 1, due_date: '2026-10-20', assignee_ids: [] },
+    { id: 'script', status: 'completed', estimated_days: 2, due_date: '2026-10-20', assignee_ids: ['m1'] },
+    { id: 'grade', status: 'pending', estimated_days: 2, due_date: null, assignee_ids: ['m1'] }
+  ]
+};
+
+const days = (workload, member) => weeks.map(week => workload[member]?.[week]?.days ?? 0);
+
+describe('startOfWeek', () => {
+  it('returns the Monday of the week', () => {
+    expect(startOfWeek('2026-10-25')).toBe('2026-10-19');
+    expect(startOfWeek('2026-10-26')).toBe('2026-10-26');
+  });
+});
+
+describe('getWorkload', () => {
+  it('splits open steps over the weeks they run in and books every assignee', () => {
+    const workload = getWorkload([project], weeks);
+    expect(days(workload, 'm1')).toEqual([1, 2]);
+    expect(days(workload, 'm2')).toEqual([1, 2]);
+    expect(workload.m1['2026-10-19'].steps.map(({ step, days: stepDays }) => [step.id, stepDays])).toEqual([['edit', 1]]);
+  });
+
+  it('keys unassigned work by an empty id', () => {
+    expect(days(getWorkload([project], weeks), '')).toEqual([1, 0]);
+  });
+
+  it('counts weekend days for projects that work weekends', () => {
+    // Sunday 2026-10-25 to Tuesday 2026-10-27
+    const workload = getWorkload([{ ...project, skip_weekends: false }], weeks);
+    expect(workload.m1['2026-10-19'].steps[0].step.id).toBe('edit');
+    expect(days(workload, 'm1')).toEqual([1, 2]);
+  });
+});
@@ -1,9 +1,18 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import AuthGate from './components/AuthGate'
+import ShareView from './components/ShareView'
+import { getShareToken } from './lib/share'
+
+// Client share links open a read-only view of one project instead of the app;
+// everything else needs a signed-in account
+const shareToken = getShareToken()
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {shareToken
+      ? <ShareView token={shareToken} />
+      : <AuthGate>{(user, signOut) => <App currentUser={user} onSignOut={signOut} />}</AuthGate>}
   </React.StrictMode>,
-)
\ No newline at end of file
+)
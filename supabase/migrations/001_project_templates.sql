@@ -0,0 +1,19 @@
+-- Named workflow templates. Each row in workflow_templates now belongs to a
+-- project_templates entry; projects remember which template they started from.
+create table if not exists project_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table workflow_templates
+  add column if not exists template_id uuid references project_templates (id) on delete cascade;
+
+alter table projects
+  add column if not exists template_id uuid references project_templates (id) on delete set null;
+
+-- Move the existing global step list into a default template
+with standard as (
+  insert into project_templates (name) values ('Standard Video') returning id
+)
+update workflow_templates set template_id = (select id from standard) where template_id is null;
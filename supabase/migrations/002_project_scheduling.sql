@@ -0,0 +1,3 @@
+-- Whether automatic scheduling of step due dates skips Saturdays and Sundays
+alter table projects
+  add column if not exists skip_weekends boolean not null default true;
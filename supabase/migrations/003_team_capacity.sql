@@ -0,0 +1,3 @@
+-- Working days each team member can take on per week, for workload planning
+alter table team_members
+  add column if not exists weekly_capacity numeric not null default 5;
@@ -0,0 +1,11 @@
+-- Steps reference team members by id and may have several assignees.
+-- The old name-based assignee column is backfilled and left in place
+-- (no longer written) so the migration can be rolled back safely.
+alter table project_steps
+  add column if not exists assignee_ids jsonb not null default '[]'::jsonb;
+
+update project_steps s
+set assignee_ids = jsonb_build_array(m.id)
+from team_members m
+where s.assignee = m.name
+  and s.assignee_ids = '[]'::jsonb;
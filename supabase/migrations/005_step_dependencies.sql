@@ -0,0 +1,20 @@
+-- Step prerequisites. depends_on lists the ids of the steps that must be
+-- completed first (template step ids on templates, project step ids on
+-- projects). NULL means "after the previous step", the original linear flow.
+alter table workflow_templates
+  add column if not exists depends_on jsonb;
+
+alter table project_steps
+  add column if not exists depends_on jsonb;
+
+-- The template step a project step was copied from, typed like workflow_templates.id
+do $$
+declare
+  id_type text;
+begin
+  select format_type(atttypid, atttypmod) into id_type
+  from pg_attribute
+  where attrelid = 'workflow_templates'::regclass and attname = 'id';
+
+  execute format('alter table project_steps add column if not exists template_step_id %s', id_type);
+end $$;
@@ -0,0 +1,13 @@
+-- Archive and trash for projects; soft deletes for the records that offer undo
+alter table projects
+  add column if not exists archived_at timestamptz,
+  add column if not exists deleted_at timestamptz;
+
+alter table team_members
+  add column if not exists deleted_at timestamptz;
+
+alter table project_templates
+  add column if not exists deleted_at timestamptz;
+
+alter table workflow_templates
+  add column if not exists deleted_at timestamptz;
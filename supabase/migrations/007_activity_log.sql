@@ -0,0 +1,34 @@
+-- Audit trail of project and step changes. Rows deliberately have no foreign
+-- keys so a project's history survives it being permanently deleted; names
+-- are copied in for the same reason. from_value/to_value hold the field's
+-- previous and new value as JSON.
+do $$
+declare
+  project_id_type text;
+  step_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into project_id_type
+  from pg_attribute
+  where attrelid = 'projects'::regclass and attname = 'id';
+
+  select format_type(atttypid, atttypmod) into step_id_type
+  from pg_attribute
+  where attrelid = 'project_steps'::regclass and attname = 'id';
+
+  execute format($sql$
+    create table if not exists activity_log (
+      id uuid primary key default gen_random_uuid(),
+      project_id %s,
+      project_name text,
+      step_id %s,
+      step_name text,
+      action text not null,
+      field text,
+      from_value jsonb,
+      to_value jsonb,
+      created_at timestamptz not null default now()
+    )
+  $sql$, project_id_type, step_id_type);
+end $$;
+
+create index if not exists activity_log_project_id_idx on activity_log (project_id, created_at desc);
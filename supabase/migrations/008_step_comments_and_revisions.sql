@@ -0,0 +1,44 @@
+-- Threaded comments and client feedback on project steps, and numbered
+-- revision rounds on review steps. Both are removed with their step.
+do $$
+declare
+  project_id_type text;
+  step_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into project_id_type
+  from pg_attribute
+  where attrelid = 'projects'::regclass and attname = 'id';
+
+  select format_type(atttypid, atttypmod) into step_id_type
+  from pg_attribute
+  where attrelid = 'project_steps'::regclass and attname = 'id';
+
+  execute format($sql$
+    create table if not exists step_comments (
+      id uuid primary key default gen_random_uuid(),
+      project_id %1$s references projects (id) on delete cascade,
+      step_id %2$s not null references project_steps (id) on delete cascade,
+      parent_id uuid references step_comments (id) on delete cascade,
+      author_id %3$s,
+      from_client boolean not null default false,
+      body text not null,
+      created_at timestamptz not null default now()
+    )
+  $sql$, project_id_type, step_id_type,
+    (select format_type(atttypid, atttypmod) from pg_attribute
+     where attrelid = 'team_members'::regclass and attname = 'id'));
+
+  execute format($sql$
+    create table if not exists revision_rounds (
+      id uuid primary key default gen_random_uuid(),
+      project_id %1$s references projects (id) on delete cascade,
+      step_id %2$s not null references project_steps (id) on delete cascade,
+      round_number integer not null,
+      status text not null default 'in-review'
+        check (status in ('in-review', 'changes-requested', 'approved')),
+      decided_at timestamptz,
+      created_at timestamptz not null default now(),
+      unique (step_id, round_number)
+    )
+  $sql$, project_id_type, step_id_type);
+end $$;
@@ -0,0 +1,37 @@
+-- Versioned deliverables on project steps. `version` counts up per step and
+-- label; at most one version per label is current.
+do $$
+declare
+  project_id_type text;
+  step_id_type text;
+  member_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into project_id_type
+  from pg_attribute
+  where attrelid = 'projects'::regclass and attname = 'id';
+
+  select format_type(atttypid, atttypmod) into step_id_type
+  from pg_attribute
+  where attrelid = 'project_steps'::regclass and attname = 'id';
+
+  select format_type(atttypid, atttypmod) into member_id_type
+  from pg_attribute
+  where attrelid = 'team_members'::regclass and attname = 'id';
+
+  execute format($sql$
+    create table if not exists step_assets (
+      id uuid primary key default gen_random_uuid(),
+      project_id %s references projects (id) on delete cascade,
+      step_id %s not null references project_steps (id) on delete cascade,
+      label text not null,
+      url text not null,
+      version integer not null,
+      note text,
+      uploaded_by %s,
+      is_current boolean not null default false,
+      approved_at timestamptz,
+      created_at timestamptz not null default now(),
+      unique (step_id, label, version)
+    )
+  $sql$, project_id_type, step_id_type, member_id_type);
+end $$;
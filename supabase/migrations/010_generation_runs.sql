@@ -0,0 +1,32 @@
+-- AI generation log per project step: model, prompts, seed, settings and the
+-- credits each run consumed. output_urls is a JSON array of links.
+do $$
+declare
+  project_id_type text;
+  step_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into project_id_type
+  from pg_attribute
+  where attrelid = 'projects'::regclass and attname = 'id';
+
+  select format_type(atttypid, atttypmod) into step_id_type
+  from pg_attribute
+  where attrelid = 'project_steps'::regclass and attname = 'id';
+
+  execute format($sql$
+    create table if not exists generation_runs (
+      id uuid primary key default gen_random_uuid(),
+      project_id %s references projects (id) on delete cascade,
+      step_id %s not null references project_steps (id) on delete cascade,
+      model text not null,
+      prompt text not null,
+      negative_prompt text,
+      seed text,
+      settings text,
+      duration_seconds numeric,
+      credits numeric not null default 0,
+      output_urls jsonb not null default '[]'::jsonb,
+      created_at timestamptz not null default now()
+    )
+  $sql$, project_id_type, step_id_type);
+end $$;
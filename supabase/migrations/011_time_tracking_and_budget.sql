@@ -0,0 +1,41 @@
+-- Billing rates on team members (per hour or per day), an optional budget on
+-- projects, and hours logged per step and team member.
+alter table team_members
+  add column if not exists rate numeric,
+  add column if not exists rate_unit text not null default 'hour'
+    check (rate_unit in ('hour', 'day'));
+
+alter table projects
+  add column if not exists budget numeric;
+
+do $$
+declare
+  project_id_type text;
+  step_id_type text;
+  member_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into project_id_type
+  from pg_attribute
+  where attrelid = 'projects'::regclass and attname = 'id';
+
+  select format_type(atttypid, atttypmod) into step_id_type
+  from pg_attribute
+  where attrelid = 'project_steps'::regclass and attname = 'id';
+
+  select format_type(atttypid, atttypmod) into member_id_type
+  from pg_attribute
+  where attrelid = 'team_members'::regclass and attname = 'id';
+
+  execute format($sql$
+    create table if not exists time_entries (
+      id uuid primary key default gen_random_uuid(),
+      project_id %s references projects (id) on delete cascade,
+      step_id %s not null references project_steps (id) on delete cascade,
+      member_id %s,
+      date date not null,
+      hours numeric not null check (hours > 0),
+      note text,
+      created_at timestamptz not null default now()
+    )
+  $sql$, project_id_type, step_id_type, member_id_type);
+end $$;
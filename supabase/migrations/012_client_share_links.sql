@@ -0,0 +1,8 @@
+-- Read-only client share links. A project is shared while share_token is set;
+-- regenerating replaces the token and revoking clears it. client_name is the
+-- step name shown to the client instead of the internal one.
+alter table projects
+  add column if not exists share_token text unique;
+
+alter table project_steps
+  add column if not exists client_name text;
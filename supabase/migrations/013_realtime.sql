@@ -0,0 +1,27 @@
+-- Publish row changes to Supabase Realtime so open clients see each other's
+-- edits live. Tables already in the publication are skipped.
+do $$
+declare
+  synced_table text;
+begin
+  foreach synced_table in array array[
+    'projects',
+    'project_steps',
+    'team_members',
+    'project_templates',
+    'workflow_templates',
+    'activity_log',
+    'step_comments',
+    'revision_rounds',
+    'step_assets',
+    'generation_runs',
+    'time_entries'
+  ] loop
+    if not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = synced_table
+    ) then
+      execute format('alter publication supabase_realtime add table %I', synced_table);
+    end if;
+  end loop;
+end $$;
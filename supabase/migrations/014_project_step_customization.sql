@@ -0,0 +1,10 @@
+-- Per-project step changes that template updates must not undo.
+-- name_customized marks a step renamed for this project only, so applying
+-- the template later keeps its name. removed_template_step_ids lists the
+-- template steps deliberately dropped from the project, so they aren't
+-- added back.
+alter table project_steps
+  add column if not exists name_customized boolean not null default false;
+
+alter table projects
+  add column if not exists removed_template_step_ids jsonb not null default '[]'::jsonb;
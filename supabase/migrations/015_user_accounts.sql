@@ -0,0 +1,61 @@
+-- Accounts for signed-in users (Supabase Auth) with a role, optionally linked
+-- to the team member they work as. The app creates the row on first sign-in;
+-- the trigger decides the role so nobody can sign up as an admin: the first
+-- account becomes the admin, everyone after that starts as a viewer.
+do $$
+declare
+  member_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into member_id_type
+  from pg_attribute
+  where attrelid = 'team_members'::regclass and attname = 'id';
+
+  execute format($sql$
+    create table if not exists app_users (
+      id uuid primary key references auth.users (id) on delete cascade,
+      email text not null,
+      role text not null default 'viewer'
+        check (role in ('admin', 'producer', 'editor', 'viewer')),
+      member_id %s references team_members (id) on delete set null,
+      created_at timestamptz not null default now()
+    )
+  $sql$, member_id_type);
+end $$;
+
+-- Role of the signed-in user, for use in row level security policies
+create or replace function app_role() returns text
+language sql stable security definer set search_path = public as $$
+  select role from app_users where id = auth.uid()
+$$;
+
+create or replace function assign_initial_role() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  new.role := case when exists (select 1 from app_users) then 'viewer' else 'admin' end;
+  return new;
+end $$;
+
+drop trigger if exists app_users_initial_role on app_users;
+create trigger app_users_initial_role
+  before insert on app_users
+  for each row execute function assign_initial_role();
+
+alter table app_users enable row level security;
+
+drop policy if exists "Signed-in users can read accounts" on app_users;
+create policy "Signed-in users can read accounts" on app_users
+  for select to authenticated using (true);
+
+drop policy if exists "Users create their own account" on app_users;
+create policy "Users create their own account" on app_users
+  for insert to authenticated with check (id = auth.uid());
+
+drop policy if exists "Admins manage accounts" on app_users;
+create policy "Admins manage accounts" on app_users
+  for update to authenticated using (app_role() = 'admin') with check (app_role() = 'admin');
+
+-- Who made each logged change; the name is kept so the log still reads
+-- after the account or team member is gone
+alter table activity_log
+  add column if not exists actor_id uuid,
+  add column if not exists actor_name text;
@@ -0,0 +1,85 @@
+-- Client share pages read through get_shared_project() instead of querying
+-- the tables, so the public only ever receives the client-facing fields of
+-- the one project whose token it holds. Tokens move out of projects into
+-- their own table that only admins and producers can read, so they can't be
+-- listed with the anon key or by other signed-in roles.
+do $$
+declare
+  project_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into project_id_type
+  from pg_attribute
+  where attrelid = 'projects'::regclass and attname = 'id';
+
+  execute format($sql$
+    create table if not exists project_share_links (
+      project_id %s primary key references projects (id) on delete cascade,
+      token text not null unique,
+      created_at timestamptz not null default now()
+    )
+  $sql$, project_id_type);
+end $$;
+
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'projects' and column_name = 'share_token'
+  ) then
+    insert into project_share_links (project_id, token)
+    select id, share_token from projects where share_token is not null
+    on conflict (project_id) do nothing;
+    alter table projects drop column share_token;
+  end if;
+end $$;
+
+alter table project_share_links enable row level security;
+
+drop policy if exists "Admins and producers manage share links" on project_share_links;
+create policy "Admins and producers manage share links" on project_share_links
+  for all to authenticated
+  using (app_role() in ('admin', 'producer'))
+  with check (app_role() in ('admin', 'producer'));
+
+revoke all on project_share_links from anon;
+
+-- Step names are the client-facing ones, and only approved deliverables are
+-- included: no assignees, notes, budgets, internal names or tokens
+create or replace function get_shared_project(token text) returns jsonb
+language sql stable security definer set search_path = public as $$
+  select jsonb_build_object(
+    'id', p.id,
+    'name', p.name,
+    'client', p.client,
+    'start_date', p.start_date,
+    'end_date', p.end_date,
+    'project_steps', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'id', s.id,
+        'name', coalesce(nullif(trim(s.client_name), ''), s.name),
+        'step_order', s.step_order,
+        'status', s.status,
+        'due_date', s.due_date,
+        'assets', coalesce((
+          select jsonb_agg(jsonb_build_object(
+            'id', a.id,
+            'label', a.label,
+            'version', a.version,
+            'url', a.url,
+            'approved_at', a.approved_at
+          ) order by a.created_at)
+          from step_assets a
+          where a.step_id = s.id and a.approved_at is not null
+        ), '[]'::jsonb)
+      ) order by s.step_order)
+      from project_steps s
+      where s.project_id = p.id
+    ), '[]'::jsonb)
+  )
+  from project_share_links l
+  join projects p on p.id = l.project_id
+  where l.token = get_shared_project.token and p.deleted_at is null
+$$;
+
+revoke all on function get_shared_project(text) from public;
+grant execute on function get_shared_project(text) to anon, authenticated;
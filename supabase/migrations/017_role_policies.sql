@@ -0,0 +1,114 @@
+-- Row level security for every table, following the roles in app_users (see
+-- src/lib/permissions.js for the same rules in the app):
+--   admin     everything
+--   producer  everything except permanently deleting projects (app_users
+--             and share links are covered by 015 and 016)
+--   editor    the steps assigned to their linked team member, and the
+--             comments, rounds, assets, generations and time on those steps
+--   viewer    read only
+-- Signed-out visitors get nothing; client share pages go through
+-- get_shared_project() instead.
+
+create or replace function is_manager() returns boolean
+language sql stable security definer set search_path = public as $$
+  select coalesce(app_role() in ('admin', 'producer'), false)
+$$;
+
+-- Whether the signed-in user may change a project step and what hangs off it
+do $$
+declare
+  step_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into step_id_type
+  from pg_attribute
+  where attrelid = 'project_steps'::regclass and attname = 'id';
+
+  execute format($sql$
+    create or replace function can_edit_step(target_step_id %s) returns boolean
+    language sql stable security definer set search_path = public as $fn$
+      select is_manager() or exists (
+        select 1
+        from app_users u
+        join project_steps s on s.id = target_step_id
+        where u.id = auth.uid()
+          and u.role = 'editor'
+          and u.member_id is not null
+          and s.assignee_ids @> jsonb_build_array(u.member_id)
+      )
+    $fn$
+  $sql$, step_id_type);
+end $$;
+
+do $$
+declare
+  synced_table text;
+begin
+  foreach synced_table in array array[
+    'projects',
+    'project_steps',
+    'team_members',
+    'project_templates',
+    'workflow_templates',
+    'activity_log',
+    'step_comments',
+    'revision_rounds',
+    'step_assets',
+    'generation_runs',
+    'time_entries'
+  ] loop
+    execute format('alter table %I enable row level security', synced_table);
+    execute format('revoke all on %I from anon', synced_table);
+    execute format('drop policy if exists "Signed-in users can read" on %I', synced_table);
+    execute format(
+      'create policy "Signed-in users can read" on %I for select to authenticated using (app_role() is not null)',
+      synced_table
+    );
+  end loop;
+
+  -- Tables only managers change
+  foreach synced_table in array array['team_members', 'project_templates', 'workflow_templates'] loop
+    execute format('drop policy if exists "Managers write" on %I', synced_table);
+    execute format(
+      'create policy "Managers write" on %I for all to authenticated using (is_manager()) with check (is_manager())',
+      synced_table
+    );
+  end loop;
+
+  -- Records attached to a step follow the step
+  foreach synced_table in array array['step_comments', 'revision_rounds', 'step_assets', 'generation_runs', 'time_entries'] loop
+    execute format('drop policy if exists "Step editors write" on %I', synced_table);
+    execute format(
+      'create policy "Step editors write" on %I for all to authenticated using (can_edit_step(step_id)) with check (can_edit_step(step_id))',
+      synced_table
+    );
+  end loop;
+end $$;
+
+drop policy if exists "Managers create projects" on projects;
+create policy "Managers create projects" on projects
+  for insert to authenticated with check (is_manager());
+
+drop policy if exists "Managers update projects" on projects;
+create policy "Managers update projects" on projects
+  for update to authenticated using (is_manager()) with check (is_manager());
+
+drop policy if exists "Admins delete projects" on projects;
+create policy "Admins delete projects" on projects
+  for delete to authenticated using (app_role() = 'admin');
+
+drop policy if exists "Managers add steps" on project_steps;
+create policy "Managers add steps" on project_steps
+  for insert to authenticated with check (is_manager());
+
+drop policy if exists "Managers remove steps" on project_steps;
+create policy "Managers remove steps" on project_steps
+  for delete to authenticated using (is_manager());
+
+drop policy if exists "Step editors update steps" on project_steps;
+create policy "Step editors update steps" on project_steps
+  for update to authenticated using (can_edit_step(id)) with check (can_edit_step(id));
+
+-- Anyone who can change something logs it; nobody rewrites history
+drop policy if exists "Contributors log activity" on activity_log;
+create policy "Contributors log activity" on activity_log
+  for insert to authenticated with check (app_role() in ('admin', 'producer', 'editor'));
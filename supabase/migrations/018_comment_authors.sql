@@ -0,0 +1,19 @@
+-- Comments are signed with the team member linked to the account posting
+-- them, whatever the request says, so nobody can post as someone else.
+-- Client feedback keeps from_client set and records who passed it on.
+create or replace function stamp_comment_author() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if tg_op = 'UPDATE' then
+    new.author_id := old.author_id;
+    new.from_client := old.from_client;
+  else
+    new.author_id := (select member_id from app_users where id = auth.uid());
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists step_comments_author on step_comments;
+create trigger step_comments_author
+  before insert or update on step_comments
+  for each row execute function stamp_comment_author();
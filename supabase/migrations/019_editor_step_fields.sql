@@ -0,0 +1,23 @@
+-- Editors may update the steps assigned to them, but only the fields they
+-- work on. Assignees, order, template links and the project a step belongs
+-- to stay with producers and admins. Keep the list in step with
+-- EDITOR_STEP_FIELDS in src/lib/permissions.js.
+create or replace function limit_editor_step_fields() returns trigger
+language plpgsql security definer set search_path = public as $$
+declare
+  editor_fields text[] := array['name', 'name_customized', 'status', 'due_date', 'estimated_days', 'depends_on'];
+begin
+  if auth.uid() is null or is_manager() then
+    return new;
+  end if;
+  if (to_jsonb(new) - editor_fields) is distinct from (to_jsonb(old) - editor_fields) then
+    raise exception 'Editors can only change % on a step', array_to_string(editor_fields, ', ')
+      using errcode = '42501';
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists project_steps_editor_fields on project_steps;
+create trigger project_steps_editor_fields
+  before update on project_steps
+  for each row execute function limit_editor_step_fields();